@@ -1,10 +1,12 @@
 // api/connect.js - Updated to not generate API keys
+import { getBaseUrl } from '../lib/http.js';
+
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const baseUrl = `https://${req.headers.host}`;
+  const baseUrl = getBaseUrl(req);
   const { oauth, client, auth_code, redirect_uri, state, client_id } = req.query;
 
   const isClaudeWeb = client === 'claude-web' || oauth === 'true';
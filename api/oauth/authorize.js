@@ -1,4 +1,5 @@
 // api/oauth/authorize.js - OAuth authorization for Claude Web
+import { getBaseUrl } from '../../lib/http.js';
 
 export default function handler(req, res) {
   console.log('OAuth authorize called by Claude Web:', req.query);
@@ -21,7 +22,7 @@ export default function handler(req, res) {
     // Generate authorization code
     const authCode = 'claude_web_' + Date.now() + '_' + Math.random().toString(36).substring(7);
     
-    const baseUrl = `https://${req.headers.host}`;
+    const baseUrl = getBaseUrl(req);
     
     // Redirect to our connect page with OAuth context for Claude Web
     const connectUrl = `${baseUrl}/connect?` + new URLSearchParams({
@@ -1,4 +1,5 @@
 // api/oauth/config.js - OAuth configuration for Claude Web
+import { getBaseUrl } from '../../lib/http.js';
 
 export default function handler(req, res) {
   // CORS headers
@@ -14,7 +15,7 @@ export default function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const baseUrl = `https://${req.headers.host}`;
+  const baseUrl = getBaseUrl(req);
   
   // OAuth configuration that Claude web expects
   const config = {
@@ -1,7 +1,7 @@
 // api/oauth/store-token.js
 // Store Slack token temporarily for OAuth flow
 
-import { kv } from '@vercel/kv';
+import { kv } from '../../lib/kv.js';
 
 export default async function handler(req, res) {
   console.log('Store token endpoint called');
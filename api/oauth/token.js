@@ -1,6 +1,6 @@
 // api/oauth/token.js - Updated for direct Slack tokens
 
-import { kv } from '@vercel/kv';
+import { kv } from '../../lib/kv.js';
 
 export default async function handler(req, res) {
   console.log('OAuth token endpoint called by Claude Web');
@@ -1,34 +1,7 @@
 // api/register.js - Simplified without API key generation
-import { kv } from '@vercel/kv';
-
-// Simple SlackClient for registration
-class SlackClient {
-  constructor(token) {
-    this.token = token;
-    this.baseUrl = 'https://slack.com/api';
-  }
-
-  async testAuth() {
-    const response = await fetch(`${this.baseUrl}/auth.test`, {
-      headers: {
-        'Authorization': `Bearer ${this.token}`,
-        'Content-Type': 'application/json',
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    
-    if (!data.ok) {
-      throw new Error(`Slack API error: ${data.error}`);
-    }
-
-    return data;
-  }
-}
+import { kv } from '../lib/kv.js';
+import { SlackClient } from '../lib/slack-client.js';
+import { getBaseUrl } from '../lib/http.js';
 
 // Simple UserAuth for registration
 class UserAuth {
@@ -116,7 +89,7 @@ export default async function handler(req, res) {
       token: slackToken, // Return the token for Claude Web to use
       userId,
       integration: {
-        server_url: `https://${req.headers.host}`,
+        server_url: getBaseUrl(req),
         authorization: `Bearer ${slackToken}`,
         instructions: "Use your Slack token directly for authentication"
       }
@@ -0,0 +1,1372 @@
+// dev/fake-slack/server.js - Local stand-in for the Slack Web API
+//
+// Serves the seeded fixture workspace in workspace.json so the MCP server and
+// the /connect flow can run end-to-end without a real Slack workspace:
+//
+//   npm run fake-slack
+//   SLACK_API_BASE_URL=http://localhost:4000/api npm run dev
+//
+// Register on /connect with one of the tokens listed in workspace.json.
+// State lives in memory and is reset on every restart. Leave the KV_* variables
+// unset to keep the MCP server's sessions in memory too, so no KV is needed.
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+
+const PORT = Number(process.env.FAKE_SLACK_PORT) || 4000;
+const BASE_URL = `http://localhost:${PORT}`;
+const FIXTURE_PATH = new URL('./workspace.json', import.meta.url);
+
+/**
+ * Slack-style error, answered as { ok: false, error: code }
+ */
+class SlackError extends Error {
+  constructor(code, extra = {}) {
+    super(code);
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+// Slack filetype and mimetype for common upload extensions
+const FILE_TYPES = {
+  txt: ['text', 'text/plain'],
+  log: ['text', 'text/plain'],
+  md: ['markdown', 'text/markdown'],
+  csv: ['csv', 'text/csv'],
+  json: ['json', 'application/json'],
+  js: ['javascript', 'text/javascript'],
+  py: ['python', 'text/x-python'],
+  png: ['png', 'image/png'],
+  jpg: ['jpg', 'image/jpeg'],
+  pdf: ['pdf', 'application/pdf'],
+  zip: ['zip', 'application/zip']
+};
+
+// Timestamps must be unique per channel; a counter keeps them ordered too
+let tsCounter = 0;
+
+/**
+ * Create a Slack message timestamp
+ * @param {number} ms - Epoch milliseconds
+ * @returns {string} Slack ts
+ */
+function makeTs(ms = Date.now()) {
+  tsCounter = (tsCounter + 1) % 1000000;
+  return `${Math.floor(ms / 1000)}.${String(tsCounter).padStart(6, '0')}`;
+}
+
+/**
+ * Load the fixture workspace into mutable in-memory state
+ * @returns {object} Workspace state
+ */
+function loadWorkspace() {
+  const fixture = JSON.parse(readFileSync(FIXTURE_PATH, 'utf8'));
+  const now = Date.now();
+  const channels = new Map();
+  const files = new Map();
+
+  for (const { messages = [], created_days_ago: createdDaysAgo = 0, last_read_minutes_ago: lastRead = {}, ...channel } of fixture.channels) {
+    const state = {
+      ...channel,
+      topic: channel.topic || '',
+      purpose: channel.purpose || '',
+      created: Math.floor((now - createdDaysAgo * 86400000) / 1000),
+      members: new Set(channel.members || []),
+      is_archived: false,
+      messages: []
+    };
+
+    const seeded = messages
+      .flatMap(({ replies = [], minutes_ago: minutesAgo, ...message }) => {
+        const ts = makeTs(now - minutesAgo * 60000);
+        return [
+          { ...message, ts },
+          ...replies.map(({ minutes_ago: replyMinutesAgo, ...reply }) => ({
+            ...reply,
+            ts: makeTs(now - replyMinutesAgo * 60000),
+            thread_ts: ts
+          }))
+        ];
+      })
+      .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+
+    // Attached files live in the file store; messages keep their IDs
+    for (const message of seeded) {
+      if (!message.files) continue;
+      for (const { content = '', ...file } of message.files) {
+        files.set(file.id, {
+          ...file,
+          user: message.user,
+          created: Math.floor(parseFloat(message.ts)),
+          channels: [state.id],
+          content: Buffer.from(content)
+        });
+      }
+      message.files = message.files.map(file => file.id);
+    }
+
+    state.messages.push(...seeded.map(message => ({ type: 'message', ...message })));
+
+    // Members have read everything unless the fixture says when they stopped reading
+    const latestTs = seeded.length > 0 ? seeded[seeded.length - 1].ts : '0000000000.000000';
+    state.last_read = new Map([...state.members].map(id => [
+      id,
+      lastRead[id] !== undefined ? makeTs(now - lastRead[id] * 60000) : latestTs
+    ]));
+
+    channels.set(state.id, state);
+  }
+
+  return {
+    team: fixture.team,
+    tokens: fixture.tokens,
+    users: new Map(fixture.users.map(user => [user.id, user])),
+    usergroups: fixture.usergroups || [],
+    channels,
+    files,
+    scheduled: [],
+    reminders: []
+  };
+}
+
+const workspace = loadWorkspace();
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {number} Offset
+ */
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return 0;
+  }
+  const match = Buffer.from(cursor, 'base64').toString().match(/^offset:(\d+)$/);
+  if (!match) {
+    throw new SlackError('invalid_cursor');
+  }
+  return Number(match[1]);
+}
+
+/**
+ * Slice a list according to limit/cursor parameters
+ * @param {Array} items - Full list
+ * @param {object} params - Request parameters
+ * @param {number} defaultLimit - Page size when no limit is given
+ * @returns {object} { items, has_more, response_metadata }
+ */
+function paginate(items, params, defaultLimit = 100) {
+  const offset = decodeCursor(params.cursor);
+  const limit = Math.max(1, Math.min(Number(params.limit) || defaultLimit, 1000));
+  const page = items.slice(offset, offset + limit);
+  const hasMore = offset + limit < items.length;
+
+  return {
+    items: page,
+    has_more: hasMore,
+    response_metadata: {
+      next_cursor: hasMore ? Buffer.from(`offset:${offset + limit}`).toString('base64') : ''
+    }
+  };
+}
+
+/**
+ * Find a channel the caller can see
+ * @param {object} ctx - Request context
+ * @param {string} id - Channel ID, name or #name
+ * @returns {object} Channel state
+ */
+function findChannel(ctx, id) {
+  if (!id) {
+    throw new SlackError('channel_not_found');
+  }
+
+  const name = String(id).replace(/^#/, '');
+  const channel = workspace.channels.get(id) ||
+    [...workspace.channels.values()].find(ch => ch.name === name);
+
+  if (!channel || !canSee(ctx, channel)) {
+    throw new SlackError('channel_not_found');
+  }
+  return channel;
+}
+
+/**
+ * Validate a new channel name the way Slack does
+ * @param {string} name - Requested name
+ * @returns {string} The name
+ */
+function checkChannelName(name) {
+  if (!name) {
+    throw new SlackError('invalid_name_required');
+  }
+  if (name.length > 80) {
+    throw new SlackError('invalid_name_maxlength');
+  }
+  if (!/^[a-z0-9_-]+$/.test(name)) {
+    throw new SlackError('invalid_name_specials');
+  }
+  if ([...workspace.channels.values()].some(ch => ch.name === name)) {
+    throw new SlackError('name_taken');
+  }
+  return name;
+}
+
+/**
+ * Require the caller to be a member of a channel that is not archived
+ * @param {object} ctx - Request context
+ * @param {object} channel - Channel state
+ */
+function requireActiveMember(ctx, channel) {
+  if (channel.is_archived) {
+    throw new SlackError('is_archived');
+  }
+  if (!channel.members.has(ctx.userId)) {
+    throw new SlackError('not_in_channel');
+  }
+}
+
+/**
+ * Check whether the caller can see a channel
+ * @param {object} ctx - Request context
+ * @param {object} channel - Channel state
+ * @returns {boolean} True if visible
+ */
+function canSee(ctx, channel) {
+  return channel.members.has(ctx.userId) || (!channel.is_private && !channel.is_im && !channel.is_mpim);
+}
+
+/**
+ * Find a user by ID
+ * @param {string} id - User ID
+ * @returns {object} User
+ */
+function findUser(id) {
+  const user = workspace.users.get(id);
+  if (!user) {
+    throw new SlackError('user_not_found');
+  }
+  return user;
+}
+
+/**
+ * Work out the current or next scheduled Do Not Disturb period
+ * @param {object} dnd - Fixture schedule { start_utc_hour, end_utc_hour }
+ * @returns {object} next_dnd_start_ts and next_dnd_end_ts, or empty without a schedule
+ */
+function dndWindow(dnd) {
+  if (!dnd) {
+    return {};
+  }
+
+  const now = Date.now() / 1000;
+  const midnight = Math.floor(now / 86400) * 86400;
+  const length = ((dnd.end_utc_hour - dnd.start_utc_hour + 24) % 24) * 3600;
+
+  for (const day of [-1, 0, 1]) {
+    const start = midnight + day * 86400 + dnd.start_utc_hour * 3600;
+    if (start + length > now) {
+      return { next_dnd_start_ts: start, next_dnd_end_ts: start + length };
+    }
+  }
+}
+
+/**
+ * Build a message permalink
+ * @param {object} channel - Channel state
+ * @param {object} message - Message
+ * @returns {string} Permalink
+ */
+function permalink(channel, message) {
+  const base = `https://${workspace.team.domain}.slack.com/archives/${channel.id}/p${message.ts.replace('.', '')}`;
+  return message.thread_ts && message.thread_ts !== message.ts
+    ? `${base}?thread_ts=${message.thread_ts}&cid=${channel.id}`
+    : base;
+}
+
+/**
+ * Serialize a channel the way conversations.* returns it
+ * @param {object} ctx - Request context
+ * @param {object} channel - Channel state
+ * @returns {object} Channel object
+ */
+function serializeChannel(ctx, channel) {
+  const base = {
+    id: channel.id,
+    created: channel.created,
+    is_archived: channel.is_archived,
+    is_member: channel.members.has(ctx.userId)
+  };
+
+  // Read state is per member; replies and your own messages never count as unread
+  if (base.is_member) {
+    const lastRead = channel.last_read.get(ctx.userId) || '0000000000.000000';
+    const unread = channel.messages.filter(message =>
+      parseFloat(message.ts) > parseFloat(lastRead) &&
+      message.user !== ctx.userId &&
+      (!message.thread_ts || message.thread_ts === message.ts || message.subtype === 'thread_broadcast')
+    ).length;
+    Object.assign(base, { last_read: lastRead, unread_count: unread, unread_count_display: unread });
+  }
+
+  if (channel.is_im) {
+    return {
+      ...base,
+      is_im: true,
+      user: channel.user_pair.find(id => id !== ctx.userId) || ctx.userId
+    };
+  }
+
+  return {
+    ...base,
+    name: channel.name,
+    is_channel: !channel.is_private,
+    is_group: !!channel.is_private,
+    is_private: !!channel.is_private,
+    is_mpim: !!channel.is_mpim,
+    is_general: channel.name === 'general',
+    is_shared: false,
+    is_ext_shared: false,
+    creator: channel.creator,
+    topic: { value: channel.topic },
+    purpose: { value: channel.purpose },
+    num_members: channel.members.size
+  };
+}
+
+/**
+ * Serialize a message, adding thread metadata to thread parents
+ * @param {object} channel - Channel state
+ * @param {object} message - Message
+ * @returns {object} Message object
+ */
+function serializeMessage(channel, message) {
+  const replies = channel.messages.filter(m => m.thread_ts === message.ts && m.ts !== message.ts);
+  const files = message.files
+    ? { files: message.files.map(id => workspace.files.get(id)).filter(Boolean).map(serializeFile) }
+    : {};
+  if (replies.length === 0) {
+    return { ...message, ...files };
+  }
+
+  return {
+    ...message,
+    ...files,
+    thread_ts: message.ts,
+    reply_count: replies.length,
+    reply_users: [...new Set(replies.map(reply => reply.user))],
+    reply_users_count: new Set(replies.map(reply => reply.user)).size,
+    latest_reply: replies[replies.length - 1].ts
+  };
+}
+
+/**
+ * Serialize a file the way files.* and message attachments return it
+ * @param {object} file - File state
+ * @returns {object} Slack file object
+ */
+function serializeFile(file) {
+  const { content, ...meta } = file;
+  const url = `${BASE_URL}/files/${file.id}/${encodeURIComponent(file.name)}`;
+
+  return {
+    ...meta,
+    title: file.title || file.name,
+    size: content.length,
+    mode: file.mode || 'hosted',
+    is_external: false,
+    url_private: url,
+    url_private_download: `${url}?download=1`,
+    permalink: `https://${workspace.team.domain}.slack.com/files/${file.user}/${file.id}/${encodeURIComponent(file.name)}`
+  };
+}
+
+/**
+ * Check whether the caller can see a file through one of its channels
+ * @param {object} ctx - Request context
+ * @param {object} file - File state
+ * @returns {boolean} True if visible
+ */
+function canSeeFile(ctx, file) {
+  return file.user === ctx.userId || file.channels.some(id => {
+    const channel = workspace.channels.get(id);
+    return channel && canSee(ctx, channel);
+  });
+}
+
+/**
+ * Check whether a message ts falls inside oldest/latest bounds
+ * @param {string} ts - Message ts
+ * @param {object} params - { oldest, latest, inclusive }
+ * @returns {boolean} True if within bounds
+ */
+function inWindow(ts, params) {
+  const value = parseFloat(ts);
+  const inclusive = params.inclusive === 'true' || params.inclusive === '1' || params.inclusive === true;
+  const oldest = params.oldest !== undefined ? parseFloat(params.oldest) : -Infinity;
+  const latest = params.latest !== undefined ? parseFloat(params.latest) : Infinity;
+
+  return (inclusive ? value >= oldest : value > oldest) && (inclusive ? value <= latest : value < latest);
+}
+
+// Web API methods, keyed by method name: (params, ctx) => response fields
+const methods = {
+  'auth.test': (params, ctx) => ({
+    url: `https://${workspace.team.domain}.slack.com/`,
+    team: workspace.team.name,
+    user: ctx.user.name,
+    team_id: workspace.team.id,
+    user_id: ctx.userId
+  }),
+
+  'conversations.list': (params, ctx) => {
+    const types = (params.types || 'public_channel').split(',');
+    const excludeArchived = params.exclude_archived === 'true' || params.exclude_archived === true;
+
+    const channels = [...workspace.channels.values()]
+      .filter(channel => canSee(ctx, channel))
+      .filter(channel => !excludeArchived || !channel.is_archived)
+      .filter(channel =>
+        (types.includes('public_channel') && !channel.is_private && !channel.is_im && !channel.is_mpim) ||
+        (types.includes('private_channel') && channel.is_private && !channel.is_mpim) ||
+        (types.includes('im') && channel.is_im) ||
+        (types.includes('mpim') && channel.is_mpim)
+      )
+      .map(channel => serializeChannel(ctx, channel));
+
+    const page = paginate(channels, params);
+    return { channels: page.items, response_metadata: page.response_metadata };
+  },
+
+  'users.conversations': (params, ctx) => {
+    const types = (params.types || 'public_channel').split(',');
+    const excludeArchived = params.exclude_archived === 'true' || params.exclude_archived === true;
+
+    const channels = [...workspace.channels.values()]
+      .filter(channel => channel.members.has(ctx.userId))
+      .filter(channel => !excludeArchived || !channel.is_archived)
+      .filter(channel =>
+        (types.includes('public_channel') && !channel.is_private && !channel.is_im && !channel.is_mpim) ||
+        (types.includes('private_channel') && channel.is_private && !channel.is_mpim) ||
+        (types.includes('im') && channel.is_im) ||
+        (types.includes('mpim') && channel.is_mpim)
+      )
+      .map(channel => {
+        // users.conversations leaves out read state
+        const { last_read, unread_count, unread_count_display, ...rest } = serializeChannel(ctx, channel);
+        return rest;
+      });
+
+    const page = paginate(channels, params);
+    return { channels: page.items, response_metadata: page.response_metadata };
+  },
+
+  'conversations.info': (params, ctx) => ({
+    channel: serializeChannel(ctx, findChannel(ctx, params.channel))
+  }),
+
+  'conversations.history': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const messages = channel.messages
+      .filter(message => !message.thread_ts || message.thread_ts === message.ts || message.subtype === 'thread_broadcast')
+      .filter(message => inWindow(message.ts, params))
+      .reverse()
+      .map(message => serializeMessage(channel, message));
+
+    const page = paginate(messages, params);
+    return { messages: page.items, has_more: page.has_more, response_metadata: page.response_metadata };
+  },
+
+  'conversations.replies': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const parent = channel.messages.find(message => message.ts === params.ts);
+    if (!parent) {
+      throw new SlackError('thread_not_found');
+    }
+
+    const threadTs = parent.thread_ts || parent.ts;
+    const messages = channel.messages
+      .filter(message => message.ts === threadTs || message.thread_ts === threadTs)
+      .filter(message => message.ts === threadTs || inWindow(message.ts, params))
+      .map(message => serializeMessage(channel, message));
+
+    const page = paginate(messages, params, 1000);
+    return { messages: page.items, has_more: page.has_more, response_metadata: page.response_metadata };
+  },
+
+  'conversations.members': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const page = paginate([...channel.members], params);
+    return { members: page.items, response_metadata: page.response_metadata };
+  },
+
+  'pins.list': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const items = channel.messages
+      .filter(message => message.pinned)
+      .map(message => ({
+        type: 'message',
+        channel: channel.id,
+        created: Math.floor(parseFloat(message.ts)),
+        created_by: message.user,
+        message: { ...serializeMessage(channel, message), permalink: permalink(channel, message) }
+      }));
+    return { items };
+  },
+
+  'bookmarks.list': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel_id);
+    const bookmarks = (channel.bookmarks || []).map((bookmark, index) => ({
+      id: `Bk0FAKE${channel.id}${index}`,
+      channel_id: channel.id,
+      type: 'link',
+      emoji: '',
+      ...bookmark
+    }));
+    return { bookmarks };
+  },
+
+  'conversations.open': (params, ctx) => {
+    const userIds = String(params.users || '').split(',').filter(Boolean);
+    if (userIds.length !== 1) {
+      throw new SlackError('not_implemented', { detail: 'Only single-user DMs are supported' });
+    }
+    const other = findUser(userIds[0]).id;
+
+    let channel = [...workspace.channels.values()].find(ch =>
+      ch.is_im && ch.user_pair.includes(ctx.userId) && ch.user_pair.includes(other)
+    );
+
+    if (!channel) {
+      channel = {
+        id: `D${Date.now().toString(36).toUpperCase()}`,
+        is_im: true,
+        user_pair: [ctx.userId, other],
+        members: new Set([ctx.userId, other]),
+        created: Math.floor(Date.now() / 1000),
+        is_archived: false,
+        messages: [],
+        last_read: new Map()
+      };
+      workspace.channels.set(channel.id, channel);
+    }
+
+    return { channel: { id: channel.id } };
+  },
+
+  'conversations.join': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    if (channel.is_private || channel.is_im || channel.is_mpim) {
+      throw new SlackError('method_not_supported_for_channel_type');
+    }
+    if (channel.is_archived) {
+      throw new SlackError('is_archived');
+    }
+
+    const alreadyInChannel = channel.members.has(ctx.userId);
+    channel.members.add(ctx.userId);
+    return alreadyInChannel
+      ? { channel: serializeChannel(ctx, channel), already_in_channel: true }
+      : { channel: serializeChannel(ctx, channel) };
+  },
+
+  'conversations.leave': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    if (channel.name === 'general') {
+      throw new SlackError('cant_leave_general');
+    }
+    if (!channel.members.delete(ctx.userId)) {
+      return { not_in_channel: true };
+    }
+    return {};
+  },
+
+  'conversations.create': (params, ctx) => {
+    const name = checkChannelName(params.name);
+    const isPrivate = params.is_private === 'true' || params.is_private === true;
+
+    const channel = {
+      id: `${isPrivate ? 'G' : 'C'}${Date.now().toString(36).toUpperCase()}`,
+      name,
+      is_private: isPrivate,
+      creator: ctx.userId,
+      created: Math.floor(Date.now() / 1000),
+      topic: '',
+      purpose: '',
+      members: new Set([ctx.userId]),
+      is_archived: false,
+      messages: [],
+      last_read: new Map()
+    };
+    workspace.channels.set(channel.id, channel);
+    return { channel: serializeChannel(ctx, channel) };
+  },
+
+  'conversations.invite': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    requireActiveMember(ctx, channel);
+
+    const errors = [];
+    for (const userId of String(params.users || '').split(',').filter(Boolean)) {
+      if (userId === ctx.userId) {
+        errors.push({ user: userId, ok: false, error: 'cant_invite_self' });
+      } else if (!workspace.users.has(userId)) {
+        errors.push({ user: userId, ok: false, error: 'user_not_found' });
+      } else if (channel.members.has(userId)) {
+        errors.push({ user: userId, ok: false, error: 'already_in_channel' });
+      } else {
+        channel.members.add(userId);
+      }
+    }
+
+    const force = params.force === 'true' || params.force === true;
+    if (errors.length > 0 && !force) {
+      throw new SlackError(errors[0].error, { errors });
+    }
+    return errors.length > 0
+      ? { channel: serializeChannel(ctx, channel), errors }
+      : { channel: serializeChannel(ctx, channel) };
+  },
+
+  'conversations.kick': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    requireActiveMember(ctx, channel);
+    if (params.user === ctx.userId) {
+      throw new SlackError('cant_kick_self');
+    }
+    if (channel.name === 'general') {
+      throw new SlackError('cant_kick_from_general');
+    }
+    if (!channel.members.delete(findUser(params.user).id)) {
+      throw new SlackError('not_in_channel');
+    }
+    return {};
+  },
+
+  'conversations.rename': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    requireActiveMember(ctx, channel);
+    channel.name = checkChannelName(params.name);
+    return { channel: serializeChannel(ctx, channel) };
+  },
+
+  'conversations.setTopic': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    requireActiveMember(ctx, channel);
+    if (String(params.topic || '').length > 250) {
+      throw new SlackError('too_long');
+    }
+    channel.topic = params.topic || '';
+    return { channel: serializeChannel(ctx, channel) };
+  },
+
+  'conversations.setPurpose': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    requireActiveMember(ctx, channel);
+    if (String(params.purpose || '').length > 250) {
+      throw new SlackError('too_long');
+    }
+    channel.purpose = params.purpose || '';
+    return { channel: serializeChannel(ctx, channel) };
+  },
+
+  'conversations.archive': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    if (channel.is_archived) {
+      throw new SlackError('already_archived');
+    }
+    if (channel.name === 'general') {
+      throw new SlackError('cant_archive_general');
+    }
+    requireActiveMember(ctx, channel);
+    channel.is_archived = true;
+    return {};
+  },
+
+  'conversations.unarchive': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    if (!channel.is_archived) {
+      throw new SlackError('not_archived');
+    }
+    channel.is_archived = false;
+    return {};
+  },
+
+  'chat.postMessage': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    if (!channel.members.has(ctx.userId)) {
+      throw new SlackError('not_in_channel');
+    }
+    if (!params.text && !params.blocks) {
+      throw new SlackError('no_text');
+    }
+
+    const message = {
+      type: 'message',
+      user: ctx.userId,
+      text: params.text || '',
+      ts: makeTs()
+    };
+    if (params.blocks) {
+      message.blocks = typeof params.blocks === 'string' ? JSON.parse(params.blocks) : params.blocks;
+    }
+    if (params.thread_ts) {
+      if (!channel.messages.some(m => m.ts === params.thread_ts)) {
+        throw new SlackError('thread_not_found');
+      }
+      message.thread_ts = params.thread_ts;
+      if (params.reply_broadcast === 'true' || params.reply_broadcast === true) {
+        message.subtype = 'thread_broadcast';
+      }
+    }
+
+    channel.messages.push(message);
+    if (!message.thread_ts) {
+      channel.last_read.set(ctx.userId, message.ts);
+    }
+    return { channel: channel.id, ts: message.ts, message };
+  },
+
+  'chat.update': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const message = channel.messages.find(m => m.ts === params.ts);
+    if (!message) {
+      throw new SlackError('message_not_found');
+    }
+    if (message.user !== ctx.userId || message.bot_id) {
+      throw new SlackError('cant_update_message');
+    }
+    if (!params.text && !params.blocks) {
+      throw new SlackError('no_text');
+    }
+
+    message.text = params.text || '';
+    if (params.blocks) {
+      message.blocks = typeof params.blocks === 'string' ? JSON.parse(params.blocks) : params.blocks;
+    }
+    message.edited = { user: ctx.userId, ts: makeTs() };
+    return { channel: channel.id, ts: message.ts, text: message.text, message };
+  },
+
+  'chat.delete': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const index = channel.messages.findIndex(m => m.ts === params.ts);
+    if (index === -1) {
+      throw new SlackError('message_not_found');
+    }
+    const message = channel.messages[index];
+    if (message.user !== ctx.userId || message.bot_id) {
+      throw new SlackError('cant_delete_message');
+    }
+
+    // A thread parent with replies stays behind as a tombstone, like in Slack
+    if (channel.messages.some(m => m.thread_ts === message.ts && m.ts !== message.ts)) {
+      channel.messages[index] = { type: 'message', subtype: 'tombstone', user: 'USLACKBOT', text: 'This message was deleted.', ts: message.ts };
+    } else {
+      channel.messages.splice(index, 1);
+    }
+    return { channel: channel.id, ts: message.ts };
+  },
+
+  'chat.scheduleMessage': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    if (!channel.members.has(ctx.userId)) {
+      throw new SlackError('not_in_channel');
+    }
+    if (!params.text && !params.blocks) {
+      throw new SlackError('no_text');
+    }
+
+    const postAt = Number(params.post_at);
+    const now = Date.now() / 1000;
+    if (!Number.isFinite(postAt)) {
+      throw new SlackError('invalid_time');
+    }
+    if (postAt <= now) {
+      throw new SlackError('time_in_past');
+    }
+    if (postAt > now + 120 * 86400) {
+      throw new SlackError('time_too_far');
+    }
+
+    // Scheduled messages are only listed, never delivered
+    const scheduled = {
+      id: `Q${Date.now().toString(36).toUpperCase()}${workspace.scheduled.length}`,
+      user: ctx.userId,
+      channel_id: channel.id,
+      post_at: Math.floor(postAt),
+      date_created: Math.floor(now),
+      text: params.text || ''
+    };
+    workspace.scheduled.push(scheduled);
+
+    return {
+      channel: channel.id,
+      scheduled_message_id: scheduled.id,
+      post_at: scheduled.post_at,
+      message: { type: 'message', user: ctx.userId, text: scheduled.text }
+    };
+  },
+
+  'chat.scheduledMessages.list': (params, ctx) => {
+    const scheduled = workspace.scheduled
+      .filter(message => message.user === ctx.userId)
+      .filter(message => !params.channel || message.channel_id === params.channel)
+      .sort((a, b) => a.post_at - b.post_at)
+      .map(({ user, ...message }) => message);
+
+    const page = paginate(scheduled, params);
+    return { scheduled_messages: page.items, response_metadata: page.response_metadata };
+  },
+
+  'chat.deleteScheduledMessage': (params, ctx) => {
+    const index = workspace.scheduled.findIndex(message =>
+      message.id === params.scheduled_message_id && message.user === ctx.userId
+    );
+    if (index === -1 || workspace.scheduled[index].channel_id !== params.channel) {
+      throw new SlackError('invalid_scheduled_message_id');
+    }
+    workspace.scheduled.splice(index, 1);
+    return {};
+  },
+
+  'files.getUploadURLExternal': (params, ctx) => {
+    const length = Number(params.length);
+    if (!params.filename || !Number.isInteger(length) || length <= 0) {
+      throw new SlackError('invalid_arguments');
+    }
+
+    const extension = params.filename.includes('.') ? params.filename.split('.').pop().toLowerCase() : 'txt';
+    const [filetype, mimetype] = FILE_TYPES[extension] || [extension, 'application/octet-stream'];
+    const file = {
+      id: `F${Date.now().toString(36).toUpperCase()}${workspace.files.size}`,
+      name: params.filename,
+      filetype,
+      mimetype,
+      mode: params.snippet_type ? 'snippet' : 'hosted',
+      user: ctx.userId,
+      created: Math.floor(Date.now() / 1000),
+      channels: [],
+      content: Buffer.alloc(0),
+      expected_length: length,
+      pending: true
+    };
+    workspace.files.set(file.id, file);
+    return { upload_url: `${BASE_URL}/upload/${file.id}`, file_id: file.id };
+  },
+
+  'files.completeUploadExternal': (params, ctx) => {
+    const requested = typeof params.files === 'string' ? JSON.parse(params.files) : params.files;
+    const files = (requested || []).map(({ id, title }) => {
+      const file = workspace.files.get(id);
+      if (!file || file.user !== ctx.userId || !file.pending || file.content.length === 0) {
+        throw new SlackError('file_not_found');
+      }
+      return { file, title };
+    });
+
+    let channel = null;
+    if (params.channel_id) {
+      channel = findChannel(ctx, params.channel_id);
+      requireActiveMember(ctx, channel);
+    }
+
+    for (const { file, title } of files) {
+      delete file.pending;
+      delete file.expected_length;
+      file.title = title || file.name;
+      if (channel) {
+        file.channels.push(channel.id);
+      }
+    }
+
+    if (channel) {
+      channel.messages.push({
+        type: 'message',
+        user: ctx.userId,
+        text: params.initial_comment || '',
+        ts: makeTs(),
+        ...(params.thread_ts ? { thread_ts: params.thread_ts } : {}),
+        files: files.map(({ file }) => file.id)
+      });
+    }
+
+    return { files: files.map(({ file }) => ({ id: file.id, title: file.title })) };
+  },
+
+  'files.list': (params, ctx) => {
+    const types = String(params.types || 'all').split(',');
+    const matchesType = file =>
+      types.includes('all') ||
+      (types.includes('images') && file.mimetype?.startsWith('image/')) ||
+      (types.includes('pdfs') && file.filetype === 'pdf') ||
+      (types.includes('zips') && file.filetype === 'zip') ||
+      (types.includes('snippets') && file.mode === 'snippet');
+
+    const files = [...workspace.files.values()]
+      .filter(file => !file.pending && canSeeFile(ctx, file))
+      .filter(file => !params.channel || file.channels.includes(params.channel))
+      .filter(file => !params.user || file.user === params.user)
+      .filter(matchesType)
+      .filter(file => inWindow(String(file.created), { oldest: params.ts_from, latest: params.ts_to, inclusive: true }))
+      .sort((a, b) => b.created - a.created);
+
+    const count = Math.max(1, Math.min(Number(params.count) || 100, 1000));
+    const pages = Math.max(1, Math.ceil(files.length / count));
+    const page = Math.min(Math.max(1, Number(params.page) || 1), pages);
+
+    return {
+      files: files.slice((page - 1) * count, page * count).map(serializeFile),
+      paging: { count, total: files.length, page, pages }
+    };
+  },
+
+  'files.info': (params, ctx) => {
+    const file = workspace.files.get(params.file);
+    if (!file || file.pending || !canSeeFile(ctx, file)) {
+      throw new SlackError('file_not_found');
+    }
+    return { file: serializeFile(file) };
+  },
+
+  'reactions.add': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const message = channel.messages.find(m => m.ts === params.timestamp);
+    if (!message) {
+      throw new SlackError('message_not_found');
+    }
+
+    const name = String(params.name || '');
+    if (!/^[a-z0-9_+'-]+(::skin-tone-[2-6])?$/.test(name)) {
+      throw new SlackError('invalid_name');
+    }
+
+    message.reactions = message.reactions || [];
+    let reaction = message.reactions.find(r => r.name === name);
+    if (!reaction) {
+      reaction = { name, users: [], count: 0 };
+      message.reactions.push(reaction);
+    }
+    if (reaction.users.includes(ctx.userId)) {
+      throw new SlackError('already_reacted');
+    }
+    reaction.users.push(ctx.userId);
+    reaction.count++;
+    return {};
+  },
+
+  'reactions.remove': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const message = channel.messages.find(m => m.ts === params.timestamp);
+    if (!message) {
+      throw new SlackError('message_not_found');
+    }
+
+    const reaction = message.reactions?.find(r => r.name === params.name);
+    if (!reaction || !reaction.users.includes(ctx.userId)) {
+      throw new SlackError('no_reaction');
+    }
+    reaction.users = reaction.users.filter(user => user !== ctx.userId);
+    reaction.count--;
+    message.reactions = message.reactions.filter(r => r.count > 0);
+    return {};
+  },
+
+  'reactions.get': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const message = channel.messages.find(m => m.ts === params.timestamp);
+    if (!message) {
+      throw new SlackError('message_not_found');
+    }
+    return { type: 'message', channel: channel.id, message: serializeMessage(channel, message) };
+  },
+
+  'chat.getPermalink': (params, ctx) => {
+    const channel = findChannel(ctx, params.channel);
+    const message = channel.messages.find(m => m.ts === params.message_ts);
+    if (!message) {
+      throw new SlackError('message_not_found');
+    }
+    return { channel: channel.id, permalink: permalink(channel, message) };
+  },
+
+  'users.list': (params) => {
+    const page = paginate([...workspace.users.values()], params, 200);
+    return { members: page.items, response_metadata: page.response_metadata };
+  },
+
+  'users.info': (params) => ({ user: findUser(params.user) }),
+
+  'usergroups.list': () => ({ usergroups: workspace.usergroups }),
+
+  'users.lookupByEmail': (params) => {
+    const email = String(params.email || '').toLowerCase();
+    const user = [...workspace.users.values()].find(u => u.profile?.email?.toLowerCase() === email);
+    if (!user) {
+      throw new SlackError('users_not_found');
+    }
+    return { user };
+  },
+
+  'users.getPresence': (params, ctx) => {
+    const user = findUser(params.user || ctx.userId);
+    return { presence: user.presence || (user.is_bot ? 'away' : 'active') };
+  },
+
+  'users.profile.set': (params, ctx) => {
+    const user = findUser(ctx.userId);
+    const changes = typeof params.profile === 'string' ? JSON.parse(params.profile) : params.profile || {};
+
+    if (changes.status_text !== undefined && String(changes.status_text).length > 100) {
+      throw new SlackError('too_long');
+    }
+    if (changes.status_emoji && !/^:[\w+'-]+(::skin-tone-[2-6])?:$/.test(changes.status_emoji)) {
+      throw new SlackError('profile_status_set_failed_not_emoji_syntax');
+    }
+
+    user.profile = { ...user.profile, ...changes };
+    return { profile: user.profile };
+  },
+
+  'users.setPresence': (params, ctx) => {
+    if (params.presence !== 'auto' && params.presence !== 'away') {
+      throw new SlackError('invalid_presence');
+    }
+    const user = findUser(ctx.userId);
+    user.presence = params.presence === 'away' ? 'away' : undefined;
+    return {};
+  },
+
+  'dnd.setSnooze': (params, ctx) => {
+    const minutes = Number(params.num_minutes);
+    if (!(minutes > 0)) {
+      throw new SlackError('invalid_arguments');
+    }
+    const user = findUser(ctx.userId);
+    user.snooze_endtime = Math.floor(Date.now() / 1000) + minutes * 60;
+    return { snooze_enabled: true, snooze_endtime: user.snooze_endtime, snooze_remaining: minutes * 60 };
+  },
+
+  'dnd.endSnooze': (params, ctx) => {
+    const user = findUser(ctx.userId);
+    if (!user.snooze_endtime || user.snooze_endtime <= Date.now() / 1000) {
+      throw new SlackError('snooze_not_active');
+    }
+    delete user.snooze_endtime;
+    return { dnd_enabled: Boolean(user.dnd), ...dndWindow(user.dnd), snooze_enabled: false };
+  },
+
+  'reminders.add': (params, ctx) => {
+    if (!params.text) {
+      throw new SlackError('no_text');
+    }
+
+    // Unix times, seconds from now and "every ..." phrases; Slack's full natural language parser is not emulated
+    const now = Math.floor(Date.now() / 1000);
+    const time = String(params.time || '').trim();
+    const reminder = {
+      id: `Rm${Date.now().toString(36).toUpperCase()}${workspace.reminders.length}`,
+      creator: ctx.userId,
+      user: ctx.userId,
+      text: params.text,
+      recurring: false,
+      complete_ts: 0
+    };
+
+    if (/^\d+$/.test(time)) {
+      reminder.time = Number(time) < 86400 ? now + Number(time) : Number(time);
+      if (reminder.time <= now) {
+        throw new SlackError('time_in_past');
+      }
+    } else if (/^every (day|weekday|week|month|year|(mon|tues|wednes|thurs|fri|satur|sun)day)\b/i.test(time)) {
+      reminder.recurring = true;
+    } else {
+      throw new SlackError('cannot_parse');
+    }
+
+    workspace.reminders.push(reminder);
+    return { reminder };
+  },
+
+  'reminders.list': (params, ctx) => ({
+    reminders: workspace.reminders.filter(reminder => reminder.user === ctx.userId)
+  }),
+
+  'reminders.complete': (params, ctx) => {
+    const reminder = workspace.reminders.find(r => r.id === params.reminder && r.user === ctx.userId);
+    if (!reminder) {
+      throw new SlackError('not_found');
+    }
+    if (reminder.recurring) {
+      throw new SlackError('cannot_complete_recurring');
+    }
+    reminder.complete_ts = Math.floor(Date.now() / 1000);
+    return {};
+  },
+
+  'reminders.delete': (params, ctx) => {
+    const index = workspace.reminders.findIndex(r => r.id === params.reminder && r.user === ctx.userId);
+    if (index === -1) {
+      throw new SlackError('not_found');
+    }
+    workspace.reminders.splice(index, 1);
+    return {};
+  },
+
+  'dnd.info': (params, ctx) => {
+    const user = findUser(params.user || ctx.userId);
+    const info = { dnd_enabled: Boolean(user.dnd), ...dndWindow(user.dnd) };
+
+    // Snooze details are only shared with the user themselves
+    if (user.id === ctx.userId) {
+      const now = Math.floor(Date.now() / 1000);
+      const snoozing = Boolean(user.snooze_endtime && user.snooze_endtime > now);
+      Object.assign(info, snoozing
+        ? { snooze_enabled: true, snooze_endtime: user.snooze_endtime, snooze_remaining: user.snooze_endtime - now }
+        : { snooze_enabled: false });
+    }
+    return info;
+  },
+
+  'search.messages': (params, ctx) => {
+    const terms = [];
+    const filters = { has: [], is: [] };
+
+    for (const token of String(params.query || '').split(/\s+/).filter(Boolean)) {
+      const match = token.match(/^(in|from|with|after|before|on|has|is):(.+)$/);
+      if (!match) {
+        terms.push(token.toLowerCase());
+      } else if (Array.isArray(filters[match[1]])) {
+        filters[match[1]].push(match[2]);
+      } else {
+        filters[match[1]] = match[2];
+      }
+    }
+
+    const userFilter = value => value === 'me' ? ctx.userId : value.replace(/^<@([A-Z0-9]+)>$/, '$1').replace(/^@/, '');
+    const inChannel = filters.in?.replace(/^<#([A-Z0-9]+)(\|[^>]*)?>$/, '$1').replace(/^#/, '');
+    const fromUser = filters.from && userFilter(filters.from);
+    const withUser = filters.with && userFilter(filters.with);
+    const day = value => new Date(`${value}T00:00:00Z`).getTime() / 1000;
+    const isUser = (id, value) => id === value || workspace.users.get(id)?.name === value;
+
+    // with: matches DMs with the person and threads they posted in
+    const isWith = (channel, message) => {
+      if (channel.is_im || channel.is_mpim) {
+        return [...channel.members].some(id => id !== ctx.userId && isUser(id, withUser));
+      }
+      const threadTs = message.thread_ts || message.ts;
+      const thread = channel.messages.filter(m => m.ts === threadTs || m.thread_ts === threadTs);
+      return thread.length > 1 && thread.some(m => isUser(m.user, withUser));
+    };
+    const has = {
+      link: message => /https?:\/\//.test(message.text),
+      reaction: message => (message.reactions || []).length > 0,
+      pin: message => Boolean(message.pinned),
+      file: message => (message.files || []).length > 0
+    };
+
+    const matches = [...workspace.channels.values()]
+      .filter(channel => canSee(ctx, channel))
+      .filter(channel => !inChannel || channel.id === inChannel || channel.name === inChannel)
+      .flatMap(channel => channel.messages.map(message => ({ channel, message })))
+      .filter(({ channel, message }) => {
+        const ts = parseFloat(message.ts);
+        const text = message.text.toLowerCase();
+        return terms.every(term => text.includes(term)) &&
+          (!fromUser || isUser(message.user, fromUser)) &&
+          (!withUser || isWith(channel, message)) &&
+          filters.has.every(kind => has[kind]?.(message)) &&
+          (!filters.is.includes('thread') || Boolean(message.thread_ts)) &&
+          (!filters.after || ts >= day(filters.after) + 86400) &&
+          (!filters.before || ts < day(filters.before)) &&
+          (!filters.on || (ts >= day(filters.on) && ts < day(filters.on) + 86400));
+      })
+      .sort((a, b) => params.sort === 'timestamp' && params.sort_dir === 'asc'
+        ? parseFloat(a.message.ts) - parseFloat(b.message.ts)
+        : parseFloat(b.message.ts) - parseFloat(a.message.ts))
+      .map(({ channel, message }) => {
+        // Neighbouring messages in the same thread, or in the channel for top-level messages
+        const stream = channel.messages.filter(m => message.thread_ts
+          ? m.thread_ts === message.thread_ts || m.ts === message.thread_ts
+          : !m.thread_ts || m.thread_ts === m.ts);
+        const index = stream.indexOf(message);
+        const neighbour = m => m && { type: 'message', ts: m.ts, user: m.user, username: workspace.users.get(m.user)?.name, text: m.text };
+
+        return {
+          type: 'message',
+          ts: message.ts,
+          text: message.text,
+          user: message.user,
+          username: workspace.users.get(message.user)?.name,
+          channel: {
+            id: channel.id,
+            name: channel.name || channel.id,
+            is_private: !!channel.is_private,
+            is_im: !!channel.is_im
+          },
+          permalink: permalink(channel, message),
+          previous: neighbour(stream[index - 1]),
+          next: neighbour(stream[index + 1])
+        };
+      });
+
+    const count = Math.max(1, Math.min(Number(params.count) || 20, 100));
+    const page = Math.max(1, Number(params.page) || 1);
+    const pages = Math.max(1, Math.ceil(matches.length / count));
+
+    return {
+      query: params.query,
+      messages: {
+        total: matches.length,
+        matches: matches.slice((page - 1) * count, page * count),
+        paging: { count, total: matches.length, page, pages },
+        pagination: {
+          total_count: matches.length,
+          page,
+          per_page: count,
+          page_count: pages,
+          first: (page - 1) * count + 1,
+          last: Math.min(page * count, matches.length)
+        }
+      }
+    };
+  }
+};
+
+/**
+ * Read and parse request parameters from the query string and body
+ * @param {object} req - HTTP request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<object>} Parameters
+ */
+async function readParams(req, url) {
+  const params = Object.fromEntries(url.searchParams);
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const body = Buffer.concat(chunks).toString();
+
+  if (body) {
+    const type = req.headers['content-type'] || '';
+    if (type.includes('application/json')) {
+      Object.assign(params, JSON.parse(body));
+    } else {
+      Object.assign(params, Object.fromEntries(new URLSearchParams(body)));
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Send a JSON response
+ * @param {object} res - HTTP response
+ * @param {number} status - HTTP status
+ * @param {object} body - Response body
+ */
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Receive file contents posted to an upload URL
+ * @param {object} req - HTTP request
+ * @param {object} res - HTTP response
+ * @param {string} fileId - File ID from the URL
+ */
+async function handleUpload(req, res, fileId) {
+  const file = workspace.files.get(fileId);
+  if (!file || !file.pending) {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  file.content = Buffer.concat(chunks);
+  console.log(`upload ${fileId} -> ${file.content.length} bytes`);
+  res.writeHead(200, { 'Content-Type': 'text/plain' }).end(`OK - ${file.content.length}`);
+}
+
+/**
+ * Serve file contents to an authenticated member, like files.slack.com
+ * @param {object} req - HTTP request
+ * @param {object} res - HTTP response
+ * @param {string} fileId - File ID from the URL
+ */
+function handleDownload(req, res, fileId) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const userId = workspace.tokens[token];
+  const file = workspace.files.get(fileId);
+
+  // Slack answers unauthenticated downloads with its HTML sign-in page
+  if (!userId) {
+    res.writeHead(200, { 'Content-Type': 'text/html' }).end('<html><body>Sign in to Slack</body></html>');
+    return;
+  }
+  if (!file || file.pending || !canSeeFile({ userId }, file)) {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': file.mimetype || 'application/octet-stream' }).end(file.content);
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  const upload = url.pathname.match(/^\/upload\/(\w+)$/);
+  if (upload && req.method === 'POST') {
+    return await handleUpload(req, res, upload[1]);
+  }
+  const download = url.pathname.match(/^\/files\/(\w+)\/[^/]+$/);
+  if (download) {
+    return handleDownload(req, res, download[1]);
+  }
+
+  const match = url.pathname.match(/^\/api\/([\w.]+)$/);
+
+  if (!match) {
+    return send(res, 404, { ok: false, error: 'unknown_method' });
+  }
+
+  try {
+    const params = await readParams(req, url);
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || params.token;
+
+    if (!token) {
+      throw new SlackError('not_authed');
+    }
+    const userId = workspace.tokens[token];
+    if (!userId) {
+      throw new SlackError('invalid_auth');
+    }
+
+    const handler = methods[match[1]];
+    if (!handler) {
+      throw new SlackError('unknown_method');
+    }
+
+    const ctx = { userId, user: findUser(userId) };
+    const result = await handler(params, ctx);
+    console.log(`${match[1]} -> ok`);
+    return send(res, 200, { ok: true, ...result });
+  } catch (error) {
+    if (error instanceof SlackError) {
+      console.log(`${match[1]} -> ${error.code}`);
+      return send(res, 200, { ok: false, error: error.code, ...error.extra });
+    }
+    console.error(`${match[1]} failed:`, error);
+    return send(res, 500, { ok: false, error: 'internal_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Fake Slack Web API listening on http://localhost:${PORT}/api`);
+  console.log(`Tokens: ${Object.keys(workspace.tokens).join(', ')}`);
+});
@@ -1,5 +1,5 @@
 // lib/auth.js
-import { kv } from '@vercel/kv';
+import { kv } from './kv.js';
 import { createHash, randomBytes } from 'crypto';
 
 /**
@@ -0,0 +1,534 @@
+// lib/directory.js
+import { kv } from './kv.js';
+
+// How long a fetched directory is reused before Slack is asked again
+const DIRECTORY_TTL_SECONDS = 60 * 60;
+
+// Upper bound on users and conversations loaded into a directory
+const MAX_DIRECTORY_ENTRIES = 5000;
+
+// Conversation types the directory lists, and the fallback for tokens without im:read or mpim:read
+const CHANNEL_TYPES = 'public_channel,private_channel,mpim,im';
+const CHANNEL_ONLY_TYPES = 'public_channel,private_channel';
+
+const USER_ID_PATTERN = /^[UW][A-Z0-9]{6,}$/;
+const CHANNEL_ID_PATTERN = /^[CGD][A-Z0-9]{6,}$/;
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// One directory per Slack client, so a request loads each list at most once
+const directories = new WeakMap();
+
+/**
+ * Error raised when a name matches nobody, or more than one user or channel
+ */
+export class DirectoryError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'DirectoryError';
+  }
+}
+
+/**
+ * Handles in a group DM name, e.g. mpdm-alice--bob--carla-1
+ * @param {string} name - Group DM name
+ * @returns {Array<string>} Handles with a leading @
+ */
+export function mpimMembers(name = '') {
+  return name.replace(/^mpdm-/, '').replace(/-\d+$/, '').split('--').map(handle => `@${handle}`);
+}
+
+/**
+ * Normalise a channel name: no #, lowercase, spaces as dashes ("#Incident 42" is incident-42)
+ * @param {string} name - Channel name as typed
+ * @returns {string} Slack channel name
+ */
+export function normalizeChannelName(name) {
+  return String(name).trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * The name to show for a user
+ * @param {object} user - Directory user entry or Slack user object
+ * @returns {string} Display name, real name or handle
+ */
+export function displayName(user) {
+  return user.display_name || user.profile?.display_name || user.real_name || user.name || user.id;
+}
+
+/**
+ * Reduce a Slack user to the fields the directory keeps
+ * @param {object} user - Slack user object
+ * @returns {object} Directory user entry
+ */
+function userEntry(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    real_name: user.real_name || user.profile?.real_name || undefined,
+    display_name: user.profile?.display_name || undefined,
+    email: user.profile?.email || undefined,
+    is_bot: user.is_bot || undefined,
+    deleted: user.deleted || undefined
+  };
+}
+
+/**
+ * Reduce a Slack conversation to the fields the directory keeps
+ * @param {object} channel - Slack conversation object
+ * @returns {object} Directory channel entry
+ */
+function channelEntry(channel) {
+  return {
+    id: channel.id,
+    name: channel.name,
+    user: channel.user,
+    is_private: channel.is_private || undefined,
+    is_im: channel.is_im || undefined,
+    is_mpim: channel.is_mpim || undefined,
+    is_archived: channel.is_archived || undefined
+  };
+}
+
+/**
+ * Reduce a Slack user group to the fields the directory keeps
+ * @param {object} usergroup - Slack user group object
+ * @returns {object} Directory user group entry
+ */
+function usergroupEntry(usergroup) {
+  return {
+    id: usergroup.id,
+    handle: usergroup.handle,
+    name: usergroup.name
+  };
+}
+
+/**
+ * Workspace directory
+ * Maps channel names, @handles, display names and email addresses to IDs and back,
+ * backed by users.list, conversations.list and usergroups.list and cached in Vercel KV
+ */
+export class SlackDirectory {
+  /**
+   * Get the directory for a Slack client, creating it on first use
+   * @param {object} slackClient - Slack client for the requesting user
+   * @returns {SlackDirectory} Directory
+   */
+  static for(slackClient) {
+    if (!directories.has(slackClient)) {
+      directories.set(slackClient, new SlackDirectory(slackClient));
+    }
+    return directories.get(slackClient);
+  }
+
+  /**
+   * @param {object} slackClient - Slack client for the requesting user
+   */
+  constructor(slackClient) {
+    this.slackClient = slackClient;
+    this.lists = {};
+    this.refreshed = {};
+  }
+
+  /**
+   * Find one user
+   * @param {string} query - User ID, <@ID> mention, @handle, display name, real name or email address
+   * @returns {Promise<object>} Directory user entry
+   * @throws {DirectoryError} When nobody or several people match
+   */
+  async findUser(query) {
+    const value = String(query).trim().replace(/^<@([A-Z0-9]+)(\|[^>]*)?>$/, '$1');
+
+    if (USER_ID_PATTERN.test(value)) {
+      return await this.userById(value);
+    }
+
+    if (EMAIL_PATTERN.test(value)) {
+      const email = value.toLowerCase();
+      const [match] = await this.search('users', users => users.filter(user => user.email?.toLowerCase() === email));
+      if (match) {
+        return match;
+      }
+
+      // Emails are only listed with the users:read.email scope, so ask Slack directly
+      try {
+        const { user: found } = await this.slackClient.lookupUserByEmail(value);
+        return userEntry(found);
+      } catch (error) {
+        if (error.code === 'users_not_found') {
+          throw new DirectoryError(`No user with email ${value}`);
+        }
+        throw error;
+      }
+    }
+
+    const name = value.replace(/^@/, '').toLowerCase();
+    const matches = await this.search('users', users => {
+      const active = users.filter(user => !user.deleted);
+      const handles = active.filter(user => user.name?.toLowerCase() === name || user.display_name?.toLowerCase() === name);
+      return handles.length > 0 ? handles : active.filter(user => user.real_name?.toLowerCase() === name);
+    });
+
+    if (matches.length === 0) {
+      throw new DirectoryError(`No user found matching "${query}"`);
+    }
+    if (matches.length > 1) {
+      throw new DirectoryError(
+        `"${query}" matches several users: ` +
+        matches.map(user => `${user.real_name || user.name} (@${user.name}, ${user.id})`).join(', ') +
+        '. Use a user ID instead.'
+      );
+    }
+    return matches[0];
+  }
+
+  /**
+   * Find one conversation
+   * @param {string} query - Channel ID, <#ID> link, #name or name; an @handle, <@ID> or email opens a DM with that person
+   * @returns {Promise<object>} Directory channel entry
+   * @throws {DirectoryError} When no channel matches
+   */
+  async findChannel(query) {
+    const value = String(query).trim().replace(/^<#([A-Z0-9]+)(\|[^>]*)?>$/, '$1');
+
+    if (CHANNEL_ID_PATTERN.test(value)) {
+      return await this.channelById(value);
+    }
+
+    if (value.startsWith('@') || value.startsWith('<@') || EMAIL_PATTERN.test(value)) {
+      const user = await this.findUser(value);
+      const { channel } = await this.slackClient.openDM(user.id);
+      return { id: channel.id, user: user.id, is_im: true };
+    }
+
+    const name = normalizeChannelName(value);
+    const [match] = await this.search('channels', channels => channels.filter(ch => ch.name === name));
+    if (!match) {
+      throw new DirectoryError(`Channel not found: ${query}`);
+    }
+    return match;
+  }
+
+  /**
+   * Resolve a user to their ID
+   * @param {string} query - Anything findUser accepts
+   * @returns {Promise<string>} User ID
+   */
+  async userId(query) {
+    const value = String(query).trim().replace(/^<@([A-Z0-9]+)(\|[^>]*)?>$/, '$1');
+    if (USER_ID_PATTERN.test(value)) {
+      return value;
+    }
+    return (await this.findUser(query)).id;
+  }
+
+  /**
+   * Resolve a conversation to its ID
+   * @param {string} query - Anything findChannel accepts
+   * @returns {Promise<string>} Channel ID
+   */
+  async channelId(query) {
+    // IDs go straight to Slack, which reports unknown ones itself
+    const value = String(query).trim().replace(/^<#([A-Z0-9]+)(\|[^>]*)?>$/, '$1');
+    if (CHANNEL_ID_PATTERN.test(value)) {
+      return value;
+    }
+    return (await this.findChannel(query)).id;
+  }
+
+  /**
+   * Look up the names to show for a set of user IDs
+   * @param {Array<string>} userIds - User IDs (falsy values are skipped)
+   * @returns {Promise<Map<string, string>>} User ID to display name; unknown IDs map to themselves
+   */
+  async userNames(userIds) {
+    const names = new Map();
+
+    await Promise.all([...new Set(userIds.filter(Boolean))].map(async userId => {
+      try {
+        names.set(userId, displayName(await this.userById(userId)));
+      } catch (error) {
+        names.set(userId, userId);
+      }
+    }));
+
+    return names;
+  }
+
+  /**
+   * Look up readable labels for a set of conversation IDs
+   * @param {Array<string>} channelIds - Channel IDs (falsy values are skipped)
+   * @returns {Promise<Map<string, string>>} Channel ID to #name, DM or group DM label; unknown IDs map to themselves
+   */
+  async channelLabels(channelIds) {
+    const labels = new Map();
+
+    await Promise.all([...new Set(channelIds.filter(Boolean))].map(async channelId => {
+      try {
+        const channel = await this.channelById(channelId);
+        if (channel.is_im) {
+          const names = await this.userNames([channel.user]);
+          labels.set(channelId, `DM with ${names.get(channel.user)}`);
+        } else if (channel.is_mpim) {
+          labels.set(channelId, `group DM with ${mpimMembers(channel.name).join(', ')}`);
+        } else {
+          labels.set(channelId, `#${channel.name}`);
+        }
+      } catch (error) {
+        labels.set(channelId, channelId);
+      }
+    }));
+
+    return labels;
+  }
+
+  /**
+   * Look up the handles of a set of user groups
+   * User groups need the usergroups:read scope, so a failed lookup leaves them unresolved
+   * @param {Array<string>} usergroupIds - User group IDs (falsy values are skipped)
+   * @returns {Promise<Map<string, string>>} User group ID to @handle; unknown IDs are left out
+   */
+  async usergroupHandles(usergroupIds) {
+    const handles = new Map();
+    const wanted = usergroupIds.filter(Boolean);
+    if (wanted.length === 0) {
+      return handles;
+    }
+
+    try {
+      const matches = await this.search('usergroups', usergroups => usergroups.filter(group => wanted.includes(group.id)));
+      for (const group of matches) {
+        handles.set(group.id, `@${group.handle}`);
+      }
+    } catch (error) {
+      console.error('User groups unavailable:', error.message);
+    }
+    return handles;
+  }
+
+  /**
+   * Map mentioned @handles and #channel names to IDs, skipping the lists nobody asked for
+   * Unknown names are left out rather than triggering a refresh, since text often contains
+   * @ and # words that are not mentions
+   * @param {object} mentions - { users, channels } lowercased names from extractMentions
+   * @returns {Promise<object>} { users: Map<handle, ID>, channels: Map<name, ID> }
+   */
+  async mentionIds({ users: handles = [], channels: channelNames = [] }) {
+    const users = new Map();
+    const channels = new Map();
+
+    if (handles.length > 0) {
+      for (const user of await this.list('users')) {
+        if (user.deleted) continue;
+        for (const handle of [user.name, user.display_name]) {
+          const key = handle?.toLowerCase();
+          if (handles.includes(key) && !users.has(key)) {
+            users.set(key, user.id);
+          }
+        }
+      }
+    }
+
+    if (channelNames.length > 0) {
+      for (const channel of await this.list('channels')) {
+        if (channel.name && channelNames.includes(channel.name)) {
+          channels.set(channel.name, channel.id);
+        }
+      }
+    }
+
+    return { users, channels };
+  }
+
+  /**
+   * Get a user entry by ID from a list already in memory or KV, else from users.info
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Directory user entry
+   */
+  async userById(userId) {
+    const users = await this.peek('users');
+    const known = users?.find(user => user.id === userId);
+    if (known) {
+      return known;
+    }
+
+    const { user } = await this.slackClient.getUserInfo(userId);
+    const entry = userEntry(user);
+    users?.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get a channel entry by ID from a list already in memory or KV, else from conversations.info
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<object>} Directory channel entry
+   */
+  async channelById(channelId) {
+    const channels = await this.peek('channels');
+    const known = channels?.find(channel => channel.id === channelId);
+    if (known) {
+      return known;
+    }
+
+    const { channel } = await this.slackClient.getChannelInfo(channelId);
+    const entry = channelEntry(channel);
+    channels?.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get a list if it is already in memory or KV, without fetching it from Slack
+   * Looking up one ID should not cost a crawl of the whole workspace
+   * @param {string} kind - 'users', 'channels' or 'usergroups'
+   * @returns {Promise<Array<object>|null>} Directory entries, or null when nothing is cached
+   */
+  async peek(kind) {
+    if (!this.lists[kind]) {
+      const cached = await this.readCache(kind);
+      if (!cached) {
+        return null;
+      }
+      if (!this.lists[kind]) {
+        this.lists[kind] = Promise.resolve(cached);
+      }
+    }
+
+    try {
+      return await this.lists[kind];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Filter a list, fetching it fresh from Slack once if nothing matches the cached copy
+   * @param {string} kind - 'users', 'channels' or 'usergroups'
+   * @param {function(Array<object>): Array<object>} filter - Returns the matching entries
+   * @returns {Promise<Array<object>>} Matching entries
+   */
+  async search(kind, filter) {
+    const matches = filter(await this.list(kind));
+    if (matches.length > 0 || this.refreshed[kind]) {
+      return matches;
+    }
+    return filter(await this.list(kind, { refresh: true }));
+  }
+
+  /**
+   * Get all users or conversations, from memory, KV or Slack
+   * @param {string} kind - 'users', 'channels' or 'usergroups'
+   * @param {object} options - { refresh } to skip the cache
+   * @returns {Promise<Array<object>>} Directory entries
+   */
+  async list(kind, { refresh = false } = {}) {
+    if (refresh) {
+      this.refreshed[kind] = true;
+      this.lists[kind] = this.fetchAndCache(kind);
+    } else if (!this.lists[kind]) {
+      this.lists[kind] = this.loadCached(kind);
+    }
+
+    try {
+      return await this.lists[kind];
+    } catch (error) {
+      // Let the next call try again instead of reusing the failure
+      delete this.lists[kind];
+      throw error;
+    }
+  }
+
+  /**
+   * Read a list from KV, falling back to Slack when it is missing or KV is unavailable
+   * @param {string} kind - 'users', 'channels' or 'usergroups'
+   * @returns {Promise<Array<object>>} Directory entries
+   */
+  async loadCached(kind) {
+    const cached = await this.readCache(kind);
+    if (cached) {
+      return cached;
+    }
+
+    this.refreshed[kind] = true;
+    return await this.fetchAndCache(kind);
+  }
+
+  /**
+   * Read a list from KV
+   * @param {string} kind - 'users', 'channels' or 'usergroups'
+   * @returns {Promise<Array<object>|null>} Directory entries, or null when missing or KV is unavailable
+   */
+  async readCache(kind) {
+    try {
+      const cached = await kv.get(await this.cacheKey(kind));
+      return Array.isArray(cached) ? cached : null;
+    } catch (error) {
+      console.error(`Directory cache read failed for ${kind}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a list from Slack and store it in KV
+   * @param {string} kind - 'users', 'channels' or 'usergroups'
+   * @returns {Promise<Array<object>>} Directory entries
+   */
+  async fetchAndCache(kind) {
+    const entries = [];
+
+    if (kind === 'usergroups') {
+      // usergroups.list is not paginated
+      const { usergroups } = await this.slackClient.getUsergroups();
+      entries.push(...usergroups.map(usergroupEntry));
+    } else if (kind === 'users') {
+      for await (const user of this.slackClient.paginate('users.list', { limit: 200 }, 'members', MAX_DIRECTORY_ENTRIES)) {
+        entries.push(userEntry(user));
+      }
+    } else {
+      entries.push(...await this.fetchChannels(CHANNEL_TYPES));
+    }
+
+    kv.set(await this.cacheKey(kind), entries, { ex: DIRECTORY_TTL_SECONDS })
+      .catch(error => console.error(`Directory cache write failed for ${kind}:`, error.message));
+    return entries;
+  }
+
+  /**
+   * Fetch conversations of the given types, dropping DMs when the token cannot read them
+   * @param {string} types - conversations.list types
+   * @returns {Promise<Array<object>>} Directory channel entries
+   */
+  async fetchChannels(types) {
+    const channels = [];
+    try {
+      const params = { types, limit: 200 };
+      for await (const channel of this.slackClient.paginate('conversations.list', params, 'channels', MAX_DIRECTORY_ENTRIES)) {
+        channels.push(channelEntry(channel));
+      }
+    } catch (error) {
+      if (error.code !== 'missing_scope' || types === CHANNEL_ONLY_TYPES) {
+        throw error;
+      }
+      return await this.fetchChannels(CHANNEL_ONLY_TYPES);
+    }
+    return channels;
+  }
+
+  /**
+   * KV key for a list
+   * Users and user groups are shared by the whole workspace; conversations are per user,
+   * since private channels and DMs are only visible to their members
+   * @param {string} kind - 'users', 'channels' or 'usergroups'
+   * @returns {Promise<string>} KV key
+   */
+  async cacheKey(kind) {
+    if (!this.auth) {
+      this.auth = this.slackClient.testAuth();
+    }
+    const { team_id: teamId, user_id: userId } = await this.auth;
+    return kind === 'channels'
+      ? `directory:${teamId}:${userId}:channels`
+      : `directory:${teamId}:${kind}`;
+  }
+}
@@ -0,0 +1,10 @@
+/**
+ * Get the public base URL of this deployment
+ * Uses the forwarded protocol so local `vercel dev` (plain http) works too
+ * @param {object} req - HTTP request
+ * @returns {string} Base URL without trailing slash
+ */
+export function getBaseUrl(req) {
+  const protocol = (req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return `${protocol}://${req.headers.host}`;
+}
@@ -0,0 +1,178 @@
+/**
+ * JSON-RPC 2.0 helpers
+ * Builds spec-compliant responses and processes single messages or batches
+ */
+
+export const JSONRPC_VERSION = '2.0';
+
+/**
+ * Standard JSON-RPC error codes plus the server-defined ones we use
+ */
+export const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  UNAUTHORIZED: -32001,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * Error that maps directly onto a JSON-RPC error object
+ */
+export class JsonRpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Human-readable message
+   * @param {*} data - Optional extra error data
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Build a success response
+ * @param {string|number|null} id - Request ID to echo
+ * @param {object} result - Method result
+ * @returns {object} JSON-RPC response
+ */
+export function successResponse(id, result) {
+  return { jsonrpc: JSONRPC_VERSION, id, result };
+}
+
+/**
+ * Build an error response
+ * @param {string|number|null} id - Request ID to echo (null when unknown)
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {*} data - Optional extra error data
+ * @returns {object} JSON-RPC response
+ */
+export function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: JSONRPC_VERSION, id, error };
+}
+
+/**
+ * Check whether a message is a notification (a request without an id)
+ * @param {object} message - Parsed JSON-RPC message
+ * @returns {boolean} True if no response should be sent
+ */
+export function isNotification(message) {
+  return typeof message?.method === 'string' && !('id' in message);
+}
+
+/**
+ * Check whether a message is a response sent back by the client
+ * @param {object} message - Parsed JSON-RPC message
+ * @returns {boolean} True if the message carries a result or error
+ */
+function isResponse(message) {
+  return message.method === undefined && ('result' in message || 'error' in message);
+}
+
+/**
+ * Check whether a value is a valid JSON-RPC request ID
+ * @param {*} id - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidId(id) {
+  return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+}
+
+/**
+ * Process a single JSON-RPC message
+ * @param {*} message - Parsed message
+ * @param {function} dispatch - async (method, params, message) => result
+ * @returns {Promise<object|null>} Response, or null when none is due
+ */
+export async function processMessage(message, dispatch) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return errorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  // Responses from the client (e.g. to server-initiated requests) need no reply
+  if (message.jsonrpc === JSONRPC_VERSION && isResponse(message)) {
+    return null;
+  }
+
+  const id = 'id' in message && isValidId(message.id) ? message.id : null;
+
+  if (message.jsonrpc !== JSONRPC_VERSION || typeof message.method !== 'string' ||
+      ('id' in message && !isValidId(message.id))) {
+    return errorResponse(id, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  if (message.params !== undefined && (message.params === null || typeof message.params !== 'object')) {
+    return isNotification(message)
+      ? null
+      : errorResponse(id, ErrorCodes.INVALID_PARAMS, 'params must be an object or array');
+  }
+
+  if (isNotification(message)) {
+    try {
+      await dispatch(message.method, message.params, message);
+    } catch (error) {
+      console.error(`Notification ${message.method} failed:`, error);
+    }
+    return null;
+  }
+
+  try {
+    const result = await dispatch(message.method, message.params, message);
+    return successResponse(id, result ?? {});
+  } catch (error) {
+    if (error instanceof JsonRpcError) {
+      return errorResponse(id, error.code, error.message, error.data);
+    }
+    console.error(`Method ${message.method} failed:`, error);
+    return errorResponse(id, ErrorCodes.INTERNAL_ERROR, error.message || 'Internal error');
+  }
+}
+
+/**
+ * Process a JSON-RPC payload, which may be a single message or a batch
+ * @param {*} payload - Parsed request body
+ * @param {function} dispatch - async (method, params, message) => result
+ * @returns {Promise<object|Array|null>} Response(s), or null when none are due
+ */
+export async function processPayload(payload, dispatch) {
+  if (!Array.isArray(payload)) {
+    return await processMessage(payload, dispatch);
+  }
+
+  if (payload.length === 0) {
+    return errorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request: empty batch');
+  }
+
+  const responses = await Promise.all(payload.map(message => processMessage(message, dispatch)));
+  const filtered = responses.filter(response => response !== null);
+
+  return filtered.length > 0 ? filtered : null;
+}
+
+/**
+ * Parse a raw request body into a JSON-RPC payload
+ * @param {*} body - Request body (already parsed object or raw string)
+ * @returns {*} Parsed payload
+ * @throws {JsonRpcError} PARSE_ERROR if the body is not valid JSON
+ */
+export function parsePayload(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new JsonRpcError(ErrorCodes.PARSE_ERROR, 'Parse error');
+  }
+}
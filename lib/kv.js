@@ -0,0 +1,153 @@
+// lib/kv.js
+import { kv as vercelKv } from '@vercel/kv';
+
+/**
+ * In-memory stand-in for the parts of the Vercel KV API this server uses
+ * Values round-trip through JSON like they do in KV; everything is lost on restart
+ */
+class MemoryKv {
+  constructor() {
+    this.store = new Map();
+  }
+
+  /**
+   * Get a live entry, dropping it if its expiry has passed
+   * @param {string} key - Key
+   * @returns {object|undefined} Entry with value and expiresAt
+   */
+  entry(key) {
+    const entry = this.store.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Store a value, keeping the key's expiry unless a new one is given
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @param {number} expiresAt - Expiry in epoch milliseconds
+   */
+  put(key, value, expiresAt = this.entry(key)?.expiresAt) {
+    this.store.set(key, { value, expiresAt });
+  }
+
+  async get(key) {
+    const value = this.entry(key)?.value;
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  async set(key, value, { ex } = {}) {
+    this.put(key, JSON.parse(JSON.stringify(value)), ex ? Date.now() + ex * 1000 : undefined);
+    return 'OK';
+  }
+
+  async setex(key, seconds, value) {
+    return await this.set(key, value, { ex: seconds });
+  }
+
+  async del(...keys) {
+    return keys.filter(key => this.entry(key) && this.store.delete(key)).length;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return 0;
+    }
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  async incr(key) {
+    const value = Number(this.entry(key)?.value ?? 0) + 1;
+    this.put(key, value);
+    return value;
+  }
+
+  async decr(key) {
+    const value = Number(this.entry(key)?.value ?? 0) - 1;
+    this.put(key, value);
+    return value;
+  }
+
+  async rpush(key, ...values) {
+    const list = [...(this.entry(key)?.value || []), ...values.map(value => JSON.parse(JSON.stringify(value)))];
+    this.put(key, list);
+    return list.length;
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.entry(key)?.value || [];
+    return JSON.parse(JSON.stringify(list.slice(start, stop === -1 ? undefined : stop + 1)));
+  }
+
+  async hset(key, fields) {
+    const hash = this.entry(key)?.value || {};
+    const added = Object.keys(fields).filter(field => !(field in hash)).length;
+    this.put(key, { ...hash, ...JSON.parse(JSON.stringify(fields)) });
+    return added;
+  }
+
+  async hdel(key, ...fields) {
+    const hash = { ...(this.entry(key)?.value || {}) };
+    const removed = fields.filter(field => field in hash && delete hash[field]).length;
+    if (Object.keys(hash).length > 0) {
+      this.put(key, hash);
+    } else {
+      this.store.delete(key);
+    }
+    return removed;
+  }
+
+  async hgetall(key) {
+    return await this.get(key);
+  }
+
+  async scan(cursor, { match = '*' } = {}) {
+    const pattern = new RegExp(`^${match.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+    return ['0', [...this.store.keys()].filter(key => this.entry(key) && pattern.test(key))];
+  }
+
+  /**
+   * Queue commands and run them together on exec(), in order
+   * @returns {object} Transaction with the same command methods plus exec()
+   */
+  multi() {
+    const commands = [];
+    const tx = {
+      exec: async () => {
+        const results = [];
+        for (const [name, args] of commands) {
+          results.push(await this[name](...args));
+        }
+        return results;
+      }
+    };
+    for (const name of ['get', 'set', 'del', 'expire', 'incr', 'decr', 'rpush', 'lrange', 'hset', 'hdel', 'hgetall']) {
+      tx[name] = (...args) => {
+        commands.push([name, args]);
+        return tx;
+      };
+    }
+    return tx;
+  }
+}
+
+/**
+ * Pick the KV store: Vercel KV when its REST credentials are set, otherwise an
+ * in-memory store so the server runs offline against the fake Slack.
+ * Production deployments always use Vercel KV so a missing credential fails loudly.
+ * @returns {object} KV client
+ */
+function createKv() {
+  if ((process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) || process.env.VERCEL_ENV === 'production') {
+    return vercelKv;
+  }
+  console.warn('KV_REST_API_URL and KV_REST_API_TOKEN are not set; using an in-memory store that is reset on restart');
+  return new MemoryKv();
+}
+
+export const kv = createKv();
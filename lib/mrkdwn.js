@@ -0,0 +1,260 @@
+// lib/mrkdwn.js
+
+// Placeholder delimiters for text that must survive conversion untouched
+const PROTECT_START = '\u0000';
+const PROTECT_END = '\u0001';
+
+// Temporary bold marker so bold output is not re-read as italics
+const BOLD = '\u0002';
+
+// @here, @channel and @everyone map to Slack special mentions
+const SPECIAL_MENTIONS = ['here', 'channel', 'everyone'];
+
+// @handle and #channel preceded by start of text, whitespace or an opening bracket
+const USER_MENTION_PATTERN = /(^|[\s(])@([a-z0-9][a-z0-9._-]*[a-z0-9_]|[a-z0-9])/gi;
+const CHANNEL_MENTION_PATTERN = /(^|[\s(])#([a-z0-9][a-z0-9_-]*[a-z0-9_]|[a-z0-9])/gi;
+
+// Slack tokens in received text: <@U1>, <#C1|name>, <!subteam^S1|@team>, <!here>, <https://x|label>
+const SLACK_TOKEN_PATTERN = /<([@#!]?)([^<>|]+)(?:\|([^<>]*))?>/g;
+
+// Standard emoji Slack writes as :shortcode: in message text
+const EMOJI = {
+  '+1': '👍', thumbsup: '👍', '-1': '👎', thumbsdown: '👎', wave: '👋', clap: '👏', pray: '🙏',
+  raised_hands: '🙌', muscle: '💪', ok_hand: '👌', point_right: '👉', point_up: '☝️', eyes: '👀',
+  smile: '😄', smiley: '😃', grinning: '😀', joy: '😂', laughing: '😆', sweat_smile: '😅', wink: '😉',
+  blush: '😊', slightly_smiling_face: '🙂', upside_down_face: '🙃', thinking_face: '🤔', neutral_face: '😐',
+  confused: '😕', disappointed: '😞', cry: '😢', sob: '😭', scream: '😱', sunglasses: '😎', heart_eyes: '😍',
+  rage: '😡', face_palm: '🤦', shrug: '🤷', partying_face: '🥳', tada: '🎉', confetti_ball: '🎊',
+  heart: '❤️', broken_heart: '💔', fire: '🔥', sparkles: '✨', star: '⭐', zap: '⚡', boom: '💥', '100': '💯',
+  rocket: '🚀', white_check_mark: '✅', heavy_check_mark: '✔️', ballot_box_with_check: '☑️', x: '❌',
+  warning: '⚠️', no_entry: '⛔', rotating_light: '🚨', bulb: '💡', memo: '📝', pushpin: '📌', link: '🔗',
+  calendar: '📅', spiral_calendar_pad: '🗓️', hourglass: '⌛', coffee: '☕', pizza: '🍕',
+  beers: '🍻', bug: '🐛', lock: '🔒', key: '🔑', mag: '🔍', wrench: '🔧', hammer: '🔨', gear: '⚙️',
+  package: '📦', chart_with_upwards_trend: '📈', chart_with_downwards_trend: '📉', bar_chart: '📊',
+  email: '📧', phone: '📱', computer: '💻', book: '📖', pager: '📟', question: '❓', exclamation: '❗',
+  speech_balloon: '💬', thread: '🧵', new: '🆕', sos: '🆘', arrow_right: '➡️', arrow_left: '⬅️',
+  arrow_up: '⬆️', arrow_down: '⬇️', red_circle: '🔴', large_green_circle: '🟢', large_yellow_circle: '🟡',
+  large_blue_circle: '🔵', white_circle: '⚪', black_circle: '⚫', sunny: '☀️', cloud: '☁️', umbrella: '☂️',
+  snowflake: '❄️', palm_tree: '🌴', see_no_evil: '🙈', skull: '💀', robot_face: '🤖',
+  ghost: '👻', unicorn_face: '🦄', trophy: '🏆', medal: '🏅', gift: '🎁', balloon: '🎈', money_with_wings: '💸'
+};
+
+/**
+ * Escape the characters Slack treats as control characters
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return text
+    .replace(/&(?!(?:amp|lt|gt);)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    // A leading > is a blockquote in both Markdown and mrkdwn
+    .replace(/(?<!^[ \t]*)>/gm, '&gt;');
+}
+
+/**
+ * Swap code spans, existing Slack tokens and links for placeholders so
+ * formatting and mention rules never apply inside them
+ * @param {string} text - Source text
+ * @param {boolean} markdown - Whether the text is Markdown (links get converted)
+ * @returns {{ text: string, restore: function(string): string }} Protected text and restore function
+ */
+function protectSegments(text, markdown) {
+  const segments = [];
+  const protect = segment => `${PROTECT_START}${segments.push(segment) - 1}${PROTECT_END}`;
+
+  let result = text
+    .replace(/```[^\n`]*\n?([\s\S]*?)```/g, (_, code) => protect('```\n' + escapeText(code.replace(/\n$/, '')) + '\n```'))
+    .replace(/`([^`\n]+)`/g, (_, code) => protect('`' + escapeText(code) + '`'))
+    .replace(/<(?:[@#!][^<>\s]+|(?:https?|mailto):[^<>\s]+)>/g, token => protect(token));
+
+  if (markdown) {
+    result = result
+      .replace(/!?\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, label, url) => protect(`<${url}|${escapeText(label)}>`))
+      .replace(/(^|[\s(])(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])/g, (_, before, url) => before + protect(`<${url}>`));
+  }
+
+  const restore = value => value.replace(
+    new RegExp(`${PROTECT_START}(\\d+)${PROTECT_END}`, 'g'),
+    (_, index) => segments[Number(index)]
+  );
+
+  return { text: result, restore };
+}
+
+/**
+ * Convert standard Markdown formatting to Slack mrkdwn
+ * Expects text that has already had its code, links and tokens protected
+ * @param {string} text - Protected Markdown text
+ * @returns {string} mrkdwn text
+ */
+function convertFormatting(text) {
+  return escapeText(text)
+    // Headings have no mrkdwn equivalent, so render them bold
+    .replace(/^#{1,6}[ \t]+(.+?)[ \t]*#*[ \t]*$/gm, `${BOLD}$1${BOLD}`)
+    .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/g, (_, star, underscore) => `${BOLD}${star ?? underscore}${BOLD}`)
+    .replace(/(^|[^*\w])\*(?=\S)([^*\n]+?)\*(?!\w)/g, '$1_$2_')
+    .replace(/~~(?=\S)(.+?)~~/g, '~$1~')
+    .replace(/^([ \t]*)[-*+][ \t]+/gm, '$1• ')
+    .replace(/^[ \t]*(?:-{3,}|\*{3,}|_{3,})[ \t]*$/gm, '──────────')
+    .replace(new RegExp(BOLD, 'g'), '*');
+}
+
+/**
+ * Undo Slack's escaping of &, < and >
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Render one Slack token as Markdown
+ * @param {string} sigil - @, #, ! or empty for links
+ * @param {string} target - Token body before the |
+ * @param {string|undefined} label - Text after the |, if any
+ * @param {object} names - { users, channels, usergroups } ID to name maps
+ * @returns {string} Markdown
+ */
+function renderToken(sigil, target, label, { users, channels, usergroups }) {
+  if (sigil === '@') {
+    return `@${users.get(target) || label || target}`;
+  }
+  if (sigil === '#') {
+    return channels.get(target) || `#${label || target}`;
+  }
+  if (sigil === '!') {
+    const [command, id] = target.split('^');
+    if (command === 'subteam') {
+      return usergroups.get(id) || label || `@${id}`;
+    }
+    if (SPECIAL_MENTIONS.includes(command)) {
+      return `@${command}`;
+    }
+    // Dates and anything newer carry their own fallback text
+    return label || target;
+  }
+
+  const url = unescapeText(target);
+  const text = label ? unescapeText(label) : '';
+  if (!text || text === url || `mailto:${text}` === url) {
+    return url.replace(/^mailto:/, '');
+  }
+  return `[${text.replace(/[[\]]/g, '\\$&')}](${url})`;
+}
+
+/**
+ * Find the users, conversations and user groups a received message refers to by ID
+ * Conversations and groups that already carry a name are left out
+ * @param {string} text - Slack message text
+ * @returns {{ users: Array<string>, channels: Array<string>, usergroups: Array<string> }} IDs to resolve
+ */
+export function extractReferences(text = '') {
+  const users = new Set();
+  const channels = new Set();
+  const usergroups = new Set();
+
+  for (const [, sigil, target, label] of text.matchAll(SLACK_TOKEN_PATTERN)) {
+    if (sigil === '@') {
+      users.add(target);
+    } else if (sigil === '#' && !label) {
+      channels.add(target);
+    } else if (sigil === '!' && target.startsWith('subteam^') && !label) {
+      usergroups.add(target.slice('subteam^'.length));
+    }
+  }
+
+  return { users: [...users], channels: [...channels], usergroups: [...usergroups] };
+}
+
+/**
+ * Render received Slack mrkdwn as standard Markdown: mentions become names,
+ * links become Markdown links, emoji shortcodes become emoji and formatting is translated
+ * Mentions missing from the name maps fall back to the label Slack sent, then the ID
+ * @param {string} text - Slack message text
+ * @param {object} options - Name lookups
+ * @param {Map<string, string>} options.users - User ID to display name
+ * @param {Map<string, string>} options.channels - Channel ID to label such as #general
+ * @param {Map<string, string>} options.usergroups - User group ID to @handle
+ * @returns {string} Markdown text
+ */
+export function toMarkdown(text = '', { users = new Map(), channels = new Map(), usergroups = new Map() } = {}) {
+  const segments = [];
+  const protect = segment => `${PROTECT_START}${segments.push(segment) - 1}${PROTECT_END}`;
+
+  const formatted = text
+    .replace(/```([\s\S]*?)```/g, (_, code) => protect('```\n' + unescapeText(code.replace(/^\n|\n$/g, '')) + '\n```'))
+    .replace(/`([^`\n]+)`/g, (_, code) => protect('`' + unescapeText(code) + '`'))
+    .replace(SLACK_TOKEN_PATTERN, (_, sigil, target, label) =>
+      protect(renderToken(sigil, target, label, { users, channels, usergroups }))
+    )
+    // Bold may sit directly inside italics, as in _*both*_
+    .replace(/(^|[^\w*]|_)\*(?=\S)([^*\n]+?)\*(?![^\W_])/g, `$1${BOLD}$2${BOLD}`)
+    .replace(/(^|[^\w_])_(?=\S)([^_\n]+?)_(?!\w)/g, '$1*$2*')
+    .replace(/(^|[^\w~])~(?=\S)([^~\n]+?)~(?!\w)/g, '$1~~$2~~')
+    .replace(new RegExp(BOLD, 'g'), '**')
+    // Skin tones only make sense after an emoji we could not translate, so drop them
+    .replace(/:([\w+'-]+):(?::skin-tone-[2-6]:)?/g, (match, name) =>
+      EMOJI[name] || match.replace(/:skin-tone-[2-6]:$/, '')
+    );
+
+  return unescapeText(formatted).replace(
+    new RegExp(`${PROTECT_START}(\\d+)${PROTECT_END}`, 'g'),
+    (_, index) => segments[Number(index)]
+  );
+}
+
+/**
+ * Find the @handles and #channel names a message mentions,
+ * ignoring code, links and existing Slack tokens
+ * @param {string} text - Message text
+ * @returns {{ users: Array<string>, channels: Array<string> }} Lowercased names to resolve
+ */
+export function extractMentions(text) {
+  const { text: plain } = protectSegments(text, true);
+  const users = new Set();
+  const channels = new Set();
+
+  for (const [, , handle] of plain.matchAll(USER_MENTION_PATTERN)) {
+    if (!SPECIAL_MENTIONS.includes(handle.toLowerCase())) {
+      users.add(handle.toLowerCase());
+    }
+  }
+  for (const [, , name] of plain.matchAll(CHANNEL_MENTION_PATTERN)) {
+    channels.add(name.toLowerCase());
+  }
+
+  return { users: [...users], channels: [...channels] };
+}
+
+/**
+ * Prepare message text for Slack: convert Markdown to mrkdwn and turn
+ * @handle, #channel and @here mentions into Slack tokens
+ * Mentions that were not resolved are left as typed
+ * @param {string} text - Message text
+ * @param {object} options - Conversion options
+ * @param {boolean} options.markdown - Convert Markdown formatting (default: true)
+ * @param {Map<string, string>} options.users - Lowercased handle to user ID
+ * @param {Map<string, string>} options.channels - Lowercased channel name to channel ID
+ * @returns {string} Slack-formatted text
+ */
+export function toSlackText(text, { markdown = true, users = new Map(), channels = new Map() } = {}) {
+  const { text: protectedText, restore } = protectSegments(text, markdown);
+  const formatted = markdown ? convertFormatting(protectedText) : protectedText;
+
+  const mentioned = formatted
+    .replace(USER_MENTION_PATTERN, (match, before, handle) => {
+      const key = handle.toLowerCase();
+      if (SPECIAL_MENTIONS.includes(key)) {
+        return `${before}<!${key}>`;
+      }
+      return users.has(key) ? `${before}<@${users.get(key)}>` : match;
+    })
+    .replace(CHANNEL_MENTION_PATTERN, (match, before, name) => {
+      const key = name.toLowerCase();
+      return channels.has(key) ? `${before}<#${channels.get(key)}>` : match;
+    });
+
+  return restore(mentioned);
+}
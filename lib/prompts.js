@@ -0,0 +1,295 @@
+// lib/prompts.js
+import { DirectoryError, SlackDirectory, normalizeChannelName } from './directory.js';
+import { ErrorCodes, JsonRpcError } from './jsonrpc.js';
+import { SlackResources, renderMessages } from './resources.js';
+
+const PROMPTS = [
+  {
+    name: 'catch_up',
+    title: 'Catch me up on a channel',
+    description: 'Summarise what happened in a channel over a recent period',
+    arguments: [
+      { name: 'channel', description: 'Channel ID or name', required: true },
+      { name: 'hours', description: 'How far back to look, in hours (default: 24)', required: false }
+    ]
+  },
+  {
+    name: 'draft_reply',
+    title: 'Draft a reply to a thread',
+    description: 'Read a thread and draft a reply that moves the discussion forward',
+    arguments: [
+      { name: 'channel', description: 'Channel ID or name containing the thread', required: true },
+      { name: 'thread_ts', description: 'Timestamp of the thread parent message', required: true },
+      { name: 'intent', description: 'What the reply should say or achieve', required: false }
+    ]
+  },
+  {
+    name: 'standup_digest',
+    title: 'Weekly standup digest',
+    description: "Summarise a user's recent messages as a standup-style digest",
+    arguments: [
+      { name: 'user', description: 'User ID, @handle, name or email', required: true },
+      { name: 'days', description: 'How many days to cover (default: 7)', required: false }
+    ]
+  },
+  {
+    name: 'find_decisions',
+    title: 'Find decisions about a topic',
+    description: 'Search for messages about a topic and extract the decisions that were made',
+    arguments: [
+      { name: 'topic', description: 'Topic to look for', required: true },
+      { name: 'channel', description: 'Limit the search to this channel name', required: false }
+    ]
+  }
+];
+
+/**
+ * Build a user prompt message
+ * @param {string} text - Message text
+ * @returns {object} Prompt message
+ */
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+/**
+ * Build a user prompt message embedding a slack:// resource
+ * @param {string} uri - Resource URI
+ * @param {string} text - Rendered resource content
+ * @returns {object} Prompt message
+ */
+function resourceMessage(uri, text) {
+  return {
+    role: 'user',
+    content: { type: 'resource', resource: { uri, mimeType: 'text/markdown', text } }
+  };
+}
+
+/**
+ * Format a date as YYYY-MM-DD for Slack search modifiers
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function searchDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a positive numeric prompt argument
+ * @param {string} value - Argument value
+ * @param {number} fallback - Default when missing
+ * @returns {number} Parsed number
+ */
+function positiveNumber(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Expected a positive number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * MCP Prompts for common Slack workflows
+ * Each prompt pre-fetches the Slack data it needs into the prompt messages
+ */
+export class SlackPrompts {
+  /**
+   * @param {object} slackClient - Slack client for the requesting user
+   */
+  constructor(slackClient) {
+    this.slackClient = slackClient;
+  }
+
+  /**
+   * List available prompts
+   * @returns {object} prompts/list result
+   */
+  list() {
+    return { prompts: PROMPTS };
+  }
+
+  /**
+   * Render a prompt with its arguments
+   * @param {string} name - Prompt name
+   * @param {object} args - Prompt arguments
+   * @returns {Promise<object>} prompts/get result
+   */
+  async get(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && !args[arg.name])
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new JsonRpcError(
+        ErrorCodes.INVALID_PARAMS,
+        `Missing required arguments for ${name}: ${missing.join(', ')}`
+      );
+    }
+
+    switch (name) {
+      case 'catch_up':
+        return await this.catchUp(args);
+      case 'draft_reply':
+        return await this.draftReply(args);
+      case 'standup_digest':
+        return await this.standupDigest(args);
+      case 'find_decisions':
+        return await this.findDecisions(args);
+    }
+  }
+
+  /**
+   * Catch up on a channel over the last N hours
+   * @param {object} args - { channel, hours }
+   * @returns {Promise<object>} Prompt result
+   */
+  async catchUp(args) {
+    const hours = positiveNumber(args.hours, 24);
+    const channel = await this.findChannel(args.channel);
+    const oldest = (Date.now() / 1000 - hours * 3600).toFixed(6);
+
+    const history = await this.slackClient.getChannelHistory(channel.id, 200, undefined, { oldest });
+    const messages = history.messages.reverse();
+
+    return {
+      description: `Catch up on ${channel.label} (last ${hours}h)`,
+      messages: [
+        resourceMessage(`slack://channel/${channel.id}`, renderMessages(messages)),
+        userMessage(
+          `Catch me up on ${channel.label} over the last ${hours} hours. ` +
+          'Above are the messages posted in that period, oldest first. ' +
+          'Summarise the main topics, call out any decisions, open questions and anything that mentions or needs me, ' +
+          'and list action items with their owners. Keep it brief.'
+        )
+      ]
+    };
+  }
+
+  /**
+   * Draft a reply to a thread
+   * @param {object} args - { channel, thread_ts, intent }
+   * @returns {Promise<object>} Prompt result
+   */
+  async draftReply(args) {
+    const channel = await this.findChannel(args.channel);
+    const uri = `slack://channel/${channel.id}/thread/${args.thread_ts}`;
+    const { contents } = await new SlackResources(this.slackClient).read(uri);
+
+    return {
+      description: 'Draft a reply to a Slack thread',
+      messages: [
+        resourceMessage(uri, contents[0].text),
+        userMessage(
+          'Draft a reply to the Slack thread above. ' +
+          (args.intent ? `The reply should: ${args.intent}. ` : 'Respond to the latest open point. ') +
+          'Match the tone of the thread, keep it concise and use Slack formatting. ' +
+          'Return only the reply text so it can be posted with slack_send_message.'
+        )
+      ]
+    };
+  }
+
+  /**
+   * Standup digest of a user's recent messages
+   * @param {object} args - { user, days }
+   * @returns {Promise<object>} Prompt result
+   */
+  async standupDigest(args) {
+    const days = positiveNumber(args.days, 7);
+    const after = new Date(Date.now() - days * 24 * 3600 * 1000);
+    const user = await this.findUser(args.user);
+    const name = user.real_name || user.name;
+
+    const search = await this.slackClient.searchMessages(
+      `from:<@${user.id}> after:${searchDate(after)}`,
+      100
+    );
+    const matches = search.messages.matches.map(match => ({
+      ...match,
+      text: `(#${match.channel?.name || 'dm'}) ${match.text}`
+    }));
+
+    return {
+      description: `Standup digest for ${name} (last ${days} days)`,
+      messages: [
+        resourceMessage(`slack://user/${user.id}`, renderMessages(matches.reverse())),
+        userMessage(
+          `Write a standup digest for ${name} covering the last ${days} days, based on their Slack messages above. ` +
+          'Group it into "Done", "In progress" and "Blockers", with one bullet per item and the channel it came from.'
+        )
+      ]
+    };
+  }
+
+  /**
+   * Find decisions made about a topic
+   * @param {object} args - { topic, channel }
+   * @returns {Promise<object>} Prompt result
+   */
+  async findDecisions(args) {
+    const channelName = args.channel ? normalizeChannelName(args.channel) : null;
+    const query = channelName ? `${args.topic} in:#${channelName}` : args.topic;
+    const search = await this.slackClient.searchMessages(query, 50);
+
+    const results = search.messages.matches
+      .map(match => `- [#${match.channel?.name || 'dm'}](${match.permalink}) ${match.username || match.user}: ${match.text}`)
+      .join('\n');
+
+    return {
+      description: `Decisions about "${args.topic}"`,
+      messages: [
+        userMessage(`Slack search results for "${query}":\n\n${results || '_No messages found_'}`),
+        userMessage(
+          `From the messages above, list the decisions that were made about ${args.topic}. ` +
+          'For each decision give what was decided, who decided or agreed, when, and the permalink. ' +
+          'Separate firm decisions from proposals that were never confirmed.'
+        )
+      ]
+    };
+  }
+
+  /**
+   * Find a channel by ID or name
+   * @param {string} channel - Channel ID, name or #name
+   * @returns {Promise<object>} Directory channel entry with a readable label
+   */
+  async findChannel(channel) {
+    const directory = SlackDirectory.for(this.slackClient);
+    const entry = await this.lookup(() => directory.findChannel(channel));
+    const labels = await directory.channelLabels([entry.id]);
+    return { ...entry, label: labels.get(entry.id) };
+  }
+
+  /**
+   * Find a user by ID, @handle, name or email
+   * @param {string} user - User to find
+   * @returns {Promise<object>} Directory user entry
+   */
+  async findUser(user) {
+    return await this.lookup(() => SlackDirectory.for(this.slackClient).findUser(user));
+  }
+
+  /**
+   * Run a directory lookup, reporting names that match nothing as invalid params
+   * @param {function(): Promise<object>} find - Lookup to run
+   * @returns {Promise<object>} Directory entry
+   */
+  async lookup(find) {
+    try {
+      return await find();
+    } catch (error) {
+      if (error instanceof DirectoryError) {
+        throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, error.message);
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,330 @@
+// lib/resources.js
+import { SlackDirectory } from './directory.js';
+import { ErrorCodes, JsonRpcError } from './jsonrpc.js';
+import { SessionStore } from './sessions.js';
+
+const MIME_TYPE = 'text/markdown';
+
+// Slack error codes that mean the resource does not exist
+const NOT_FOUND_ERRORS = ['channel_not_found', 'user_not_found', 'thread_not_found', 'message_not_found'];
+
+// Upper bound on channels scanned when listing resources
+const MAX_LISTED_CHANNELS = 2000;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'slack://channel/{id}',
+    name: 'channel',
+    title: 'Slack channel',
+    description: 'Channel details and its most recent messages',
+    mimeType: MIME_TYPE
+  },
+  {
+    uriTemplate: 'slack://channel/{id}/thread/{ts}',
+    name: 'thread',
+    title: 'Slack thread',
+    description: 'A thread parent message and all of its replies',
+    mimeType: MIME_TYPE
+  },
+  {
+    uriTemplate: 'slack://user/{id}',
+    name: 'user',
+    title: 'Slack user',
+    description: 'Profile of a workspace member',
+    mimeType: MIME_TYPE
+  }
+];
+
+/**
+ * Parse a slack:// resource URI
+ * @param {string} uri - Resource URI
+ * @returns {object|null} { type, channel, ts, user } or null if not recognised
+ */
+export function parseResourceUri(uri) {
+  if (typeof uri !== 'string') {
+    return null;
+  }
+
+  let match = uri.match(/^slack:\/\/channel\/([A-Z0-9]+)\/thread\/(\d+\.\d+)$/);
+  if (match) {
+    return { type: 'thread', channel: match[1], ts: match[2] };
+  }
+
+  match = uri.match(/^slack:\/\/channel\/([A-Z0-9]+)$/);
+  if (match) {
+    return { type: 'channel', channel: match[1] };
+  }
+
+  match = uri.match(/^slack:\/\/user\/([A-Z0-9]+)$/);
+  if (match) {
+    return { type: 'user', user: match[1] };
+  }
+
+  return null;
+}
+
+/**
+ * Format a Slack timestamp for resource output
+ * @param {string} ts - Slack message timestamp
+ * @returns {string} ISO-8601 date
+ */
+function formatTs(ts) {
+  return new Date(parseFloat(ts) * 1000).toISOString();
+}
+
+/**
+ * Render messages as a markdown list
+ * @param {Array<object>} messages - Slack messages
+ * @returns {string} Markdown
+ */
+export function renderMessages(messages) {
+  if (messages.length === 0) {
+    return '_No messages_';
+  }
+
+  return messages
+    .map(msg => `- **${formatTs(msg.ts)}** ${msg.user ? `<@${msg.user}>` : msg.username || 'unknown'}: ${msg.text || 'No text'}`)
+    .join('\n');
+}
+
+/**
+ * MCP Resources backed by Slack
+ * Exposes channels, threads and users as slack:// resources
+ */
+export class SlackResources {
+  /**
+   * @param {object} slackClient - Slack client for the requesting user
+   */
+  constructor(slackClient) {
+    this.slackClient = slackClient;
+  }
+
+  /**
+   * List concrete resources: the channels the user is a member of
+   * @returns {Promise<object>} resources/list result
+   */
+  async list() {
+    const resources = [];
+    const channels = this.slackClient.paginate(
+      'conversations.list',
+      { types: 'public_channel,private_channel', exclude_archived: true, limit: 200 },
+      'channels',
+      MAX_LISTED_CHANNELS
+    );
+
+    for await (const channel of channels) {
+      if (!channel.is_member) continue;
+      resources.push({
+        uri: `slack://channel/${channel.id}`,
+        name: `#${channel.name}`,
+        description: channel.purpose?.value || channel.topic?.value || undefined,
+        mimeType: MIME_TYPE
+      });
+    }
+
+    return { resources };
+  }
+
+  /**
+   * List resource templates
+   * @returns {object} resources/templates/list result
+   */
+  listTemplates() {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @returns {Promise<object>} resources/read result
+   */
+  async read(uri) {
+    const parsed = this.requireUri(uri);
+    let text;
+
+    try {
+      switch (parsed.type) {
+        case 'channel':
+          text = await this.readChannel(parsed.channel);
+          break;
+        case 'thread':
+          text = await this.readThread(parsed.channel, parsed.ts);
+          break;
+        case 'user':
+          text = await this.readUser(parsed.user);
+          break;
+      }
+    } catch (error) {
+      if (NOT_FOUND_ERRORS.includes(error.code)) {
+        throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+      }
+      throw error;
+    }
+
+    return {
+      contents: [{ uri, mimeType: MIME_TYPE, text }]
+    };
+  }
+
+  /**
+   * Render a channel resource
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<string>} Markdown
+   */
+  async readChannel(channelId) {
+    const [info, history] = await Promise.all([
+      this.slackClient.getChannelInfo(channelId),
+      this.slackClient.getChannelHistory(channelId, 50)
+    ]);
+    const channel = info.channel;
+
+    return [
+      `# #${channel.name || channel.id}`,
+      '',
+      `Purpose: ${channel.purpose?.value || 'None'}`,
+      `Topic: ${channel.topic?.value || 'None'}`,
+      channel.num_members !== undefined ? `Members: ${channel.num_members}` : null,
+      '',
+      '## Recent messages',
+      '',
+      renderMessages([...history.messages].reverse())
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * Render a thread resource
+   * @param {string} channelId - Channel ID
+   * @param {string} ts - Thread parent timestamp
+   * @returns {Promise<string>} Markdown
+   */
+  async readThread(channelId, ts) {
+    const [data, labels] = await Promise.all([
+      this.slackClient.getThreadReplies(channelId, ts, 200),
+      SlackDirectory.for(this.slackClient).channelLabels([channelId])
+    ]);
+    const [parent, ...replies] = data.messages;
+
+    return [
+      `# Thread in ${labels.get(channelId)}`,
+      '',
+      renderMessages([parent]),
+      '',
+      `## ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}`,
+      '',
+      renderMessages(replies)
+    ].join('\n');
+  }
+
+  /**
+   * Render a user resource
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Markdown
+   */
+  async readUser(userId) {
+    const { user } = await this.slackClient.getUserInfo(userId);
+    const profile = user.profile || {};
+
+    return [
+      `# ${user.real_name || user.name}`,
+      '',
+      `Username: @${user.name}`,
+      `ID: ${user.id}`,
+      profile.display_name ? `Display name: ${profile.display_name}` : null,
+      profile.title ? `Title: ${profile.title}` : null,
+      profile.email ? `Email: ${profile.email}` : null,
+      user.tz ? `Timezone: ${user.tz}` : null,
+      profile.status_text ? `Status: ${profile.status_emoji || ''} ${profile.status_text}`.trim() : null
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * Subscribe a session to updates of a channel or thread
+   * @param {string} sessionId - Session ID
+   * @param {string} uri - Resource URI
+   * @returns {Promise<object>} Empty result
+   */
+  async subscribe(sessionId, uri) {
+    const parsed = this.requireUri(uri);
+    if (parsed.type === 'user') {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Only channel and thread resources can be subscribed to');
+    }
+
+    const { channel } = await this.slackClient.getChannelInfo(parsed.channel);
+    if (!channel.is_member && !channel.is_im && !channel.is_mpim) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Join <#${parsed.channel}> before subscribing to it`);
+    }
+
+    await SessionStore.addSubscription(sessionId, uri, await this.getLatestTs(parsed));
+    return {};
+  }
+
+  /**
+   * Remove a session's subscription
+   * @param {string} sessionId - Session ID
+   * @param {string} uri - Resource URI
+   * @returns {Promise<object>} Empty result
+   */
+  async unsubscribe(sessionId, uri) {
+    this.requireUri(uri);
+    await SessionStore.removeSubscription(sessionId, uri);
+    return {};
+  }
+
+  /**
+   * Check subscribed resources for new messages and queue
+   * notifications/resources/updated for each one that changed
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<number>} Number of updated resources
+   */
+  async checkSubscriptions(sessionId) {
+    const subscriptions = await SessionStore.getSubscriptions(sessionId);
+    let updated = 0;
+
+    for (const [uri, lastTs] of Object.entries(subscriptions)) {
+      try {
+        const latestTs = await this.getLatestTs(parseResourceUri(uri));
+        if (latestTs && latestTs !== lastTs) {
+          await SessionStore.addSubscription(sessionId, uri, latestTs);
+          await SessionStore.enqueue(sessionId, {
+            jsonrpc: '2.0',
+            method: 'notifications/resources/updated',
+            params: { uri }
+          });
+          updated++;
+        }
+      } catch (error) {
+        console.error(`Subscription check failed for ${uri}:`, error);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get the timestamp of the newest message in a channel or thread
+   * @param {object} parsed - Parsed resource URI
+   * @returns {Promise<string>} Latest message ts ('0' when empty)
+   */
+  async getLatestTs(parsed) {
+    if (parsed.type === 'thread') {
+      const data = await this.slackClient.getThreadReplies(parsed.channel, parsed.ts, 1);
+      return data.messages[0]?.latest_reply || parsed.ts;
+    }
+
+    const data = await this.slackClient.getChannelHistory(parsed.channel, 1);
+    return data.messages[0]?.ts || '0';
+  }
+
+  /**
+   * Parse a URI or throw an invalid params error
+   * @param {string} uri - Resource URI
+   * @returns {object} Parsed URI
+   */
+  requireUri(uri) {
+    const parsed = parseResourceUri(uri);
+    if (!parsed) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unsupported resource URI: ${uri}`);
+    }
+    return parsed;
+  }
+}
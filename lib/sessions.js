@@ -0,0 +1,143 @@
+// lib/sessions.js
+import { kv } from './kv.js';
+import { createHash, randomUUID } from 'crypto';
+
+// Sessions expire after a day of inactivity
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+// Session IDs must be visible ASCII per the Streamable HTTP transport spec
+const SESSION_ID_PATTERN = /^[\x21-\x7E]{1,128}$/;
+
+/**
+ * MCP Session Store
+ * Issues and validates Mcp-Session-Id values and queues server-initiated
+ * messages for delivery over the GET event stream, all in Vercel KV
+ */
+export class SessionStore {
+
+  /**
+   * Create SHA256 hash of token so sessions can be bound to it
+   * @param {string} token - Slack token to hash
+   * @returns {string} SHA256 hash
+   */
+  static hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a new session
+   * @param {string} slackToken - Token the session is bound to
+   * @param {object} info - Session details (userId, protocolVersion, clientInfo)
+   * @returns {Promise<object>} Session data including its ID
+   */
+  static async create(slackToken, info = {}) {
+    const session = {
+      id: randomUUID(),
+      tokenHash: this.hashToken(slackToken),
+      userId: info.userId || null,
+      protocolVersion: info.protocolVersion,
+      clientInfo: info.clientInfo || null,
+      createdAt: new Date().toISOString()
+    };
+
+    await kv.set(`mcp_session:${session.id}`, session, { ex: SESSION_TTL_SECONDS });
+    return session;
+  }
+
+  /**
+   * Get a session, checking that it belongs to the given token
+   * @param {string} sessionId - Session ID from the Mcp-Session-Id header
+   * @param {string} slackToken - Token used on this request
+   * @returns {Promise<object|null>} Session data or null if unknown/expired
+   */
+  static async get(sessionId, slackToken) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    const session = await kv.get(`mcp_session:${sessionId}`);
+    if (!session || session.tokenHash !== this.hashToken(slackToken)) {
+      return null;
+    }
+
+    // Slide the expiry window in background
+    kv.expire(`mcp_session:${sessionId}`, SESSION_TTL_SECONDS).catch(console.error);
+
+    return session;
+  }
+
+  /**
+   * Terminate a session and drop any undelivered messages and subscriptions
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  static async destroy(sessionId) {
+    await kv.del(
+      `mcp_session:${sessionId}`,
+      `mcp_session:${sessionId}:queue`,
+      `mcp_session:${sessionId}:subscriptions`
+    );
+  }
+
+  /**
+   * Queue a server-initiated message for the session's event stream
+   * @param {string} sessionId - Session ID
+   * @param {object} message - JSON-RPC notification or request
+   * @returns {Promise<void>}
+   */
+  static async enqueue(sessionId, message) {
+    const key = `mcp_session:${sessionId}:queue`;
+    await kv.rpush(key, message);
+    await kv.expire(key, SESSION_TTL_SECONDS);
+  }
+
+  /**
+   * Take all queued messages for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<object>>} Messages in the order they were queued
+   */
+  static async drain(sessionId) {
+    const key = `mcp_session:${sessionId}:queue`;
+    const tx = kv.multi();
+    tx.lrange(key, 0, -1);
+    tx.del(key);
+    const [messages] = await tx.exec();
+    return messages || [];
+  }
+
+  /**
+   * Add or refresh a resource subscription
+   * @param {string} sessionId - Session ID
+   * @param {string} uri - Subscribed resource URI
+   * @param {string} latestTs - Newest message ts already seen for the resource
+   * @returns {Promise<void>}
+   */
+  static async addSubscription(sessionId, uri, latestTs) {
+    const key = `mcp_session:${sessionId}:subscriptions`;
+    // Stored as an object so the ts string is not deserialized into a number
+    await kv.hset(key, { [uri]: { ts: latestTs } });
+    await kv.expire(key, SESSION_TTL_SECONDS);
+  }
+
+  /**
+   * Remove a resource subscription
+   * @param {string} sessionId - Session ID
+   * @param {string} uri - Resource URI
+   * @returns {Promise<void>}
+   */
+  static async removeSubscription(sessionId, uri) {
+    await kv.hdel(`mcp_session:${sessionId}:subscriptions`, uri);
+  }
+
+  /**
+   * Get all resource subscriptions for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<object>} Map of URI to newest seen message ts
+   */
+  static async getSubscriptions(sessionId) {
+    const subscriptions = await kv.hgetall(`mcp_session:${sessionId}:subscriptions`) || {};
+    return Object.fromEntries(
+      Object.entries(subscriptions).map(([uri, value]) => [uri, value?.ts])
+    );
+  }
+}
@@ -1,11 +1,188 @@
+import { createHash } from 'crypto';
+
+// Slack rate-limit tiers per Web API method; unlisted methods are treated as Tier 3
+// https://api.slack.com/apis/rate-limits
+const METHOD_TIERS = {
+  'auth.test': 4,
+  'search.messages': 2,
+  'conversations.list': 2,
+  'conversations.history': 3,
+  'conversations.replies': 3,
+  'conversations.info': 3,
+  'conversations.open': 3,
+  'conversations.members': 4,
+  'users.conversations': 3,
+  'conversations.create': 2,
+  'conversations.invite': 3,
+  'conversations.kick': 3,
+  'conversations.rename': 2,
+  'conversations.setTopic': 2,
+  'conversations.setPurpose': 2,
+  'conversations.archive': 2,
+  'conversations.unarchive': 2,
+  'conversations.join': 3,
+  'conversations.leave': 3,
+  'pins.list': 2,
+  'bookmarks.list': 3,
+  'users.list': 2,
+  'users.info': 4,
+  'users.lookupByEmail': 3,
+  'usergroups.list': 2,
+  'users.getPresence': 3,
+  'dnd.info': 3,
+  'users.profile.set': 3,
+  'users.setPresence': 2,
+  'dnd.setSnooze': 2,
+  'dnd.endSnooze': 2,
+  'reminders.add': 2,
+  'reminders.list': 2,
+  'reminders.complete': 2,
+  'reminders.delete': 2,
+  'chat.postMessage': 'special',
+  'chat.getPermalink': 4,
+  'chat.update': 3,
+  'chat.delete': 3,
+  'reactions.add': 3,
+  'reactions.remove': 2,
+  'reactions.get': 3,
+  'chat.scheduleMessage': 3,
+  'chat.scheduledMessages.list': 3,
+  'chat.deleteScheduledMessage': 3,
+  'files.getUploadURLExternal': 4,
+  'files.completeUploadExternal': 4,
+  'files.list': 3,
+  'files.info': 4
+};
+
+// Concurrent in-flight requests allowed per method, by tier
+const TIER_CONCURRENCY = {
+  1: 1,
+  2: 2,
+  3: 4,
+  4: 8,
+  special: 1
+};
+
+// Limiters per token and method, shared by every client in this instance since
+// Slack applies its rate limits per token rather than per request. Keyed by a
+// hash of the token and kept for the most recently active tokens only
+const sharedLimiters = new Map();
+const MAX_SHARED_LIMITER_TOKENS = 100;
+
+/**
+ * Get the limiters shared by clients of a token, marking the token as recently used
+ * @param {string} token - Slack token
+ * @returns {Map<string, ConcurrencyLimiter>} Limiters by API method
+ */
+function limitersFor(token) {
+  const key = createHash('sha256').update(token).digest('hex');
+  const limiters = sharedLimiters.get(key) || new Map();
+
+  // Re-inserting keeps the Map in least-recently-used order
+  sharedLimiters.delete(key);
+  sharedLimiters.set(key, limiters);
+  if (sharedLimiters.size > MAX_SHARED_LIMITER_TOKENS) {
+    sharedLimiters.delete(sharedLimiters.keys().next().value);
+  }
+  return limiters;
+}
+
+/**
+ * Error raised for failed Slack API calls
+ * Carries the Slack error code, HTTP status and API method
+ */
+export class SlackApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Error details
+   * @param {string} details.code - Slack error code (e.g., 'channel_not_found')
+   * @param {string} details.method - Slack API method (e.g., 'conversations.history')
+   * @param {number} details.status - HTTP status, if a response was received
+   * @param {number} details.retryAfter - Seconds to wait before retrying, for rate limits
+   * @param {boolean} details.retryable - Whether the request may succeed if retried
+   * @param {Error} details.cause - Underlying error, for network failures
+   */
+  constructor(message, { code, method, status, retryAfter, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'SlackApiError';
+    this.code = code;
+    this.method = method;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Limits how many promises run at once
+ */
+class ConcurrencyLimiter {
+  constructor(max) {
+    this.max = max;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {function} task - async () => result
+   * @returns {Promise<*>} Task result
+   */
+  async run(task) {
+    if (this.active >= this.max) {
+      // A finishing task hands its slot straight to us, so nobody can take it in between
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Slack API Client
- * Handles all interactions with Slack's Web API
+ * Handles all interactions with Slack's Web API, retrying rate-limited and
+ * transient failures and limiting concurrency per method
  */
 export class SlackClient {
-  constructor(token) {
+  /**
+   * @param {string} token - Slack user token
+   * @param {object} options - Client options
+   * @param {string} options.baseUrl - Web API base URL (default: SLACK_API_BASE_URL or https://slack.com/api)
+   * @param {number} options.maxRetries - Retries after the first attempt (default: 3)
+   * @param {number} options.baseDelayMs - First backoff delay for transient errors (default: 500)
+   * @param {number} options.maxDelayMs - Longest backoff delay (default: 8000)
+   * @param {number} options.maxRetryAfterMs - Longest Retry-After we will wait out (default: 20000)
+   * @param {number} options.maxRetryTimeMs - Longest a call may spend waiting between retries in total (default: 20000)
+   */
+  constructor(token, options = {}) {
     this.token = token;
-    this.baseUrl = 'https://slack.com/api';
+    this.baseUrl = (options.baseUrl || process.env.SLACK_API_BASE_URL || 'https://slack.com/api').replace(/\/+$/, '');
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.maxDelayMs = options.maxDelayMs ?? 8000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 20000;
+    this.maxRetryTimeMs = options.maxRetryTimeMs ?? 20000;
+    this.limiters = limitersFor(token);
   }
 
   /**
@@ -13,14 +190,86 @@ export class SlackClient {
    * @param {string} endpoint - API endpoint (e.g., 'auth.test')
    * @param {object} params - Request parameters
    * @param {string} method - HTTP method (GET or POST)
+   * @param {object} options - Request options
+   * @param {boolean} options.json - Send a POST body as JSON instead of form data
    * @returns {Promise<object>} API response
+   * @throws {SlackApiError} When Slack rejects the call or retries are exhausted
    */
-  async makeRequest(endpoint, params = {}, method = 'GET') {
+  async makeRequest(endpoint, params = {}, method = 'GET', { json = false } = {}) {
+    // Writes may already have been applied when the network or Slack fails mid-request,
+    // so only reads are retried after those failures
+    const idempotent = method === 'GET';
+
+    // The retry budget covers the whole call so it ends well inside a serverless invocation
+    const deadline = Date.now() + this.maxRetryTimeMs;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Each attempt takes its own slot, so waiting out a backoff never holds one
+        return await this.getLimiter(endpoint).run(() => this.sendRequest(endpoint, params, method, json));
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt, idempotent);
+        if (delay === null || Date.now() + delay > deadline) {
+          throw error;
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Get the concurrency limiter for an API method
+   * @param {string} endpoint - API endpoint
+   * @returns {ConcurrencyLimiter} Limiter sized for the method's tier
+   */
+  getLimiter(endpoint) {
+    if (!this.limiters.has(endpoint)) {
+      const tier = METHOD_TIERS[endpoint] ?? 3;
+      this.limiters.set(endpoint, new ConcurrencyLimiter(TIER_CONCURRENCY[tier]));
+    }
+    return this.limiters.get(endpoint);
+  }
+
+  /**
+   * Decide how long to wait before retrying a failed request
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Zero-based attempt number
+   * @param {boolean} idempotent - Whether repeating the request is safe; otherwise only rate limits are retried
+   * @returns {number|null} Delay in ms, or null to give up
+   */
+  getRetryDelay(error, attempt, idempotent = true) {
+    if (!(error instanceof SlackApiError) || !error.retryable || attempt >= this.maxRetries) {
+      return null;
+    }
+    if (!idempotent && error.code !== 'ratelimited') {
+      return null;
+    }
+
+    if (error.retryAfter !== undefined) {
+      const delay = error.retryAfter * 1000;
+      return delay <= this.maxRetryAfterMs ? delay : null;
+    }
+
+    // Exponential backoff with jitter
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Send a single request to Slack API
+   * @param {string} endpoint - API endpoint
+   * @param {object} params - Request parameters
+   * @param {string} method - HTTP method (GET or POST)
+   * @param {boolean} json - Send a POST body as JSON instead of form data
+   * @returns {Promise<object>} API response
+   * @throws {SlackApiError} On network, HTTP or Slack errors
+   */
+  async sendRequest(endpoint, params, method, json = false) {
     const url = new URL(`${this.baseUrl}/${endpoint}`);
     const options = {
       headers: {
         'Authorization': `Bearer ${this.token}`,
-        'Content-Type': method === 'GET' ? 'application/json' : 'application/x-www-form-urlencoded',
+        'Content-Type': method === 'GET' || json ? 'application/json; charset=utf-8' : 'application/x-www-form-urlencoded',
       }
     };
 
@@ -31,6 +280,10 @@ export class SlackClient {
           url.searchParams.append(key, params[key]);
         }
       });
+    } else if (json) {
+      // JSON keeps structured fields such as blocks intact
+      options.method = method;
+      options.body = JSON.stringify(params);
     } else {
       // Use form data for POST requests (Slack prefers this)
       options.method = method;
@@ -43,21 +296,80 @@ export class SlackClient {
       options.body = formData.toString();
     }
 
-    const response = await fetch(url.toString(), options);
+    let response;
+    try {
+      response = await fetch(url.toString(), options);
+    } catch (error) {
+      throw new SlackApiError(`Request to ${endpoint} failed: ${error.message}`, {
+        code: 'request_failed',
+        method: endpoint,
+        retryable: true,
+        cause: error
+      });
+    }
+
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      throw new SlackApiError(`Slack API rate limited ${endpoint}`, {
+        code: 'ratelimited',
+        method: endpoint,
+        status: 429,
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined,
+        retryable: true
+      });
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw new SlackApiError(`HTTP ${response.status}: ${response.statusText}`, {
+        code: 'http_error',
+        method: endpoint,
+        status: response.status,
+        retryable: response.status >= 500
+      });
     }
 
     const data = await response.json();
     
     if (!data.ok) {
-      throw new Error(`Slack API error: ${data.error}`);
+      const detail = data.error === 'missing_scope' && data.needed ? ` (needs ${data.needed})` : '';
+      throw new SlackApiError(`Slack API error: ${data.error}${detail}`, {
+        code: data.error,
+        method: endpoint,
+        status: response.status,
+        retryable: data.error === 'ratelimited'
+      });
     }
 
     return data;
   }
 
+  /**
+   * Iterate over every item of a cursor-paginated endpoint
+   * @param {string} endpoint - API endpoint (e.g., 'conversations.list')
+   * @param {object} params - Request parameters (limit is the page size)
+   * @param {string} itemsKey - Response field holding the items (e.g., 'channels')
+   * @param {number} maxItems - Stop after this many items
+   * @returns {AsyncGenerator<object>} Items across all pages
+   */
+  async *paginate(endpoint, params, itemsKey, maxItems = 1000) {
+    let cursor = params.cursor;
+    let count = 0;
+
+    do {
+      const data = await this.makeRequest(endpoint, { ...params, cursor });
+
+      for (const item of data[itemsKey] || []) {
+        if (count >= maxItems) {
+          return;
+        }
+        count++;
+        yield item;
+      }
+
+      cursor = data.response_metadata?.next_cursor;
+    } while (cursor);
+  }
+
   /**
    * Test the authentication token
    * @returns {Promise<object>} Auth test response
@@ -70,63 +382,433 @@ export class SlackClient {
    * Search for messages across the workspace
    * @param {string} query - Search query
    * @param {number} count - Number of results
+   * @param {object} options - Additional options (sort, sort_dir, page)
    * @returns {Promise<object>} Search results
    */
-  async searchMessages(query, count = 20) {
-    return await this.makeRequest('search.messages', { query, count });
+  async searchMessages(query, count = 20, options = {}) {
+    return await this.makeRequest('search.messages', { query, count, ...options });
   }
 
   /**
    * Get list of conversations (channels)
    * @param {string} types - Channel types to include
    * @param {number} limit - Maximum channels to return
+   * @param {string} cursor - Pagination cursor from response_metadata.next_cursor
    * @returns {Promise<object>} Channels list
    */
-  async getChannels(types = 'public_channel', limit = 100) {
-    return await this.makeRequest('conversations.list', { types, limit });
+  async getChannels(types = 'public_channel', limit = 100, cursor) {
+    return await this.makeRequest('conversations.list', { types, limit, cursor });
   }
 
   /**
    * Get conversation history
    * @param {string} channel - Channel ID
    * @param {number} limit - Number of messages
+   * @param {string} cursor - Pagination cursor from response_metadata.next_cursor
+   * @param {object} options - Time window as Slack ts values (oldest, latest, inclusive)
    * @returns {Promise<object>} Message history
    */
-  async getChannelHistory(channel, limit = 50) {
-    return await this.makeRequest('conversations.history', { channel, limit });
+  async getChannelHistory(channel, limit = 50, cursor, options = {}) {
+    return await this.makeRequest('conversations.history', { channel, limit, cursor, ...options });
+  }
+
+  /**
+   * Get replies in a thread (the parent message comes first)
+   * @param {string} channel - Channel ID
+   * @param {string} ts - Thread parent timestamp
+   * @param {number} limit - Number of messages
+   * @param {string} cursor - Pagination cursor from response_metadata.next_cursor
+   * @returns {Promise<object>} Thread messages
+   */
+  async getThreadReplies(channel, ts, limit = 100, cursor) {
+    return await this.makeRequest('conversations.replies', { channel, ts, limit, cursor });
   }
 
   /**
    * Get channel information
    * @param {string} channel - Channel ID
-   * @returns {Promise<object>} Channel info
+   * @returns {Promise<object>} Channel info, including its member count
    */
   async getChannelInfo(channel) {
-    return await this.makeRequest('conversations.info', { channel });
+    return await this.makeRequest('conversations.info', { channel, include_num_members: true });
+  }
+
+  /**
+   * Get the members of a channel
+   * @param {string} channel - Channel ID
+   * @param {number} limit - Maximum member IDs to return
+   * @param {string} cursor - Pagination cursor from a previous response
+   * @returns {Promise<object>} Member user IDs
+   */
+  async getChannelMembers(channel, limit = 100, cursor) {
+    return await this.makeRequest('conversations.members', { channel, limit, cursor });
+  }
+
+  /**
+   * Create a channel
+   * @param {string} name - Channel name (lowercase, no spaces or periods)
+   * @param {boolean} isPrivate - Create a private channel
+   * @returns {Promise<object>} Created channel
+   */
+  async createChannel(name, isPrivate = false) {
+    return await this.makeRequest('conversations.create', { name, is_private: isPrivate }, 'POST');
+  }
+
+  /**
+   * Invite users to a channel
+   * @param {string} channel - Channel ID
+   * @param {string} users - Comma-separated user IDs
+   * @returns {Promise<object>} Channel, plus per-user errors for any that could not be invited
+   */
+  async inviteToChannel(channel, users) {
+    // force invites the valid users even when some of the others fail
+    return await this.makeRequest('conversations.invite', { channel, users, force: true }, 'POST');
+  }
+
+  /**
+   * Remove a user from a channel
+   * @param {string} channel - Channel ID
+   * @param {string} user - User ID
+   * @returns {Promise<object>} Kick response
+   */
+  async kickFromChannel(channel, user) {
+    return await this.makeRequest('conversations.kick', { channel, user }, 'POST');
+  }
+
+  /**
+   * Rename a channel
+   * @param {string} channel - Channel ID
+   * @param {string} name - New channel name
+   * @returns {Promise<object>} Renamed channel
+   */
+  async renameChannel(channel, name) {
+    return await this.makeRequest('conversations.rename', { channel, name }, 'POST');
+  }
+
+  /**
+   * Set a channel's topic
+   * @param {string} channel - Channel ID
+   * @param {string} topic - New topic
+   * @returns {Promise<object>} Updated channel
+   */
+  async setChannelTopic(channel, topic) {
+    return await this.makeRequest('conversations.setTopic', { channel, topic }, 'POST');
+  }
+
+  /**
+   * Set a channel's purpose
+   * @param {string} channel - Channel ID
+   * @param {string} purpose - New purpose
+   * @returns {Promise<object>} Updated channel
+   */
+  async setChannelPurpose(channel, purpose) {
+    return await this.makeRequest('conversations.setPurpose', { channel, purpose }, 'POST');
+  }
+
+  /**
+   * Archive a channel
+   * @param {string} channel - Channel ID
+   * @returns {Promise<object>} Archive response
+   */
+  async archiveChannel(channel) {
+    return await this.makeRequest('conversations.archive', { channel }, 'POST');
+  }
+
+  /**
+   * Unarchive a channel
+   * @param {string} channel - Channel ID
+   * @returns {Promise<object>} Unarchive response
+   */
+  async unarchiveChannel(channel) {
+    return await this.makeRequest('conversations.unarchive', { channel }, 'POST');
+  }
+
+  /**
+   * Join a public channel
+   * @param {string} channel - Channel ID
+   * @returns {Promise<object>} Joined channel
+   */
+  async joinChannel(channel) {
+    return await this.makeRequest('conversations.join', { channel }, 'POST');
+  }
+
+  /**
+   * Leave a channel
+   * @param {string} channel - Channel ID
+   * @returns {Promise<object>} Leave response
+   */
+  async leaveChannel(channel) {
+    return await this.makeRequest('conversations.leave', { channel }, 'POST');
+  }
+
+  /**
+   * Get the items pinned to a channel
+   * @param {string} channel - Channel ID
+   * @returns {Promise<object>} Pinned items
+   */
+  async getPins(channel) {
+    return await this.makeRequest('pins.list', { channel });
+  }
+
+  /**
+   * Get the bookmarks of a channel
+   * @param {string} channel - Channel ID
+   * @returns {Promise<object>} Bookmarks
+   */
+  async getBookmarks(channel) {
+    return await this.makeRequest('bookmarks.list', { channel_id: channel });
   }
 
   /**
    * Send a message to a channel
    * @param {string} channel - Channel ID or name
-   * @param {string} text - Message text
-   * @param {object} options - Additional options
+   * @param {string} text - Message text (the notification fallback when blocks are given)
+   * @param {object} options - Additional options (thread_ts, reply_broadcast, blocks, unfurl_links...)
    * @returns {Promise<object>} Message response
    */
   async sendMessage(channel, text, options = {}) {
+    // Block Kit payloads are sent as JSON rather than form-encoded
     return await this.makeRequest('chat.postMessage', {
       channel,
       text,
       ...options
+    }, 'POST', { json: options.blocks !== undefined });
+  }
+
+  /**
+   * Edit a message
+   * @param {string} channel - Channel ID
+   * @param {string} ts - Timestamp of the message to edit
+   * @param {string} text - New message text
+   * @param {object} options - Additional options (blocks...)
+   * @returns {Promise<object>} Update response
+   */
+  async updateMessage(channel, ts, text, options = {}) {
+    return await this.makeRequest('chat.update', {
+      channel,
+      ts,
+      text,
+      ...options
+    }, 'POST', { json: options.blocks !== undefined });
+  }
+
+  /**
+   * Delete a message
+   * @param {string} channel - Channel ID
+   * @param {string} ts - Timestamp of the message to delete
+   * @returns {Promise<object>} Delete response
+   */
+  async deleteMessage(channel, ts) {
+    return await this.makeRequest('chat.delete', { channel, ts }, 'POST');
+  }
+
+  /**
+   * Schedule a message to be sent later
+   * @param {string} channel - Channel ID or name
+   * @param {number} postAt - Unix time (seconds) to send the message at
+   * @param {string} text - Message text
+   * @param {object} options - Additional options (thread_ts, reply_broadcast, blocks...)
+   * @returns {Promise<object>} Scheduled message response
+   */
+  async scheduleMessage(channel, postAt, text, options = {}) {
+    return await this.makeRequest('chat.scheduleMessage', {
+      channel,
+      post_at: postAt,
+      text,
+      ...options
+    }, 'POST', { json: options.blocks !== undefined });
+  }
+
+  /**
+   * List messages scheduled by the user
+   * @param {string} channel - Only list messages for this channel (optional)
+   * @param {number} limit - Maximum messages to return
+   * @param {string} cursor - Pagination cursor from a previous response
+   * @returns {Promise<object>} Scheduled messages
+   */
+  async getScheduledMessages(channel, limit = 100, cursor) {
+    return await this.makeRequest('chat.scheduledMessages.list', { channel, limit, cursor }, 'POST');
+  }
+
+  /**
+   * Cancel a scheduled message
+   * @param {string} channel - Channel ID the message was scheduled for
+   * @param {string} scheduledMessageId - ID returned by chat.scheduleMessage
+   * @returns {Promise<object>} Delete response
+   */
+  async deleteScheduledMessage(channel, scheduledMessageId) {
+    return await this.makeRequest('chat.deleteScheduledMessage', {
+      channel,
+      scheduled_message_id: scheduledMessageId
     }, 'POST');
   }
 
+  /**
+   * Reserve an upload URL for a new file
+   * @param {string} filename - File name
+   * @param {number} length - Size of the file in bytes
+   * @param {object} options - Additional options (snippet_type, alt_txt)
+   * @returns {Promise<object>} upload_url and file_id
+   */
+  async getUploadURL(filename, length, options = {}) {
+    return await this.makeRequest('files.getUploadURLExternal', { filename, length, ...options }, 'POST');
+  }
+
+  /**
+   * Send file contents to an upload URL from getUploadURL
+   * @param {string} uploadUrl - Upload URL
+   * @param {Buffer} data - File contents
+   * @returns {Promise<void>}
+   * @throws {SlackApiError} When the upload is rejected
+   */
+  async uploadFileContent(uploadUrl, data) {
+    let response;
+    try {
+      response = await fetch(uploadUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: data
+      });
+    } catch (error) {
+      throw new SlackApiError(`File upload failed: ${error.message}`, { code: 'upload_failed', cause: error });
+    }
+
+    if (!response.ok) {
+      throw new SlackApiError(`File upload failed: HTTP ${response.status}`, {
+        code: 'upload_failed',
+        status: response.status
+      });
+    }
+  }
+
+  /**
+   * Finish uploads started with getUploadURL, optionally sharing them to a channel
+   * @param {Array<object>} files - [{ id, title }]
+   * @param {object} options - Additional options (channel_id, initial_comment, thread_ts)
+   * @returns {Promise<object>} Completed files
+   */
+  async completeUpload(files, options = {}) {
+    return await this.makeRequest('files.completeUploadExternal', {
+      files: JSON.stringify(files),
+      ...options
+    }, 'POST');
+  }
+
+  /**
+   * List files visible to the user
+   * @param {object} filters - Filters (channel, user, types, ts_from, ts_to, count, page)
+   * @returns {Promise<object>} Files and paging info
+   */
+  async listFiles(filters = {}) {
+    return await this.makeRequest('files.list', filters);
+  }
+
+  /**
+   * Get file metadata
+   * @param {string} file - File ID
+   * @returns {Promise<object>} File info
+   */
+  async getFileInfo(file) {
+    return await this.makeRequest('files.info', { file });
+  }
+
+  /**
+   * Download a file's contents with the user's token
+   * Stops reading once maxBytes have been received
+   * @param {string} url - url_private or url_private_download of the file
+   * @param {number} maxBytes - Maximum bytes to read
+   * @returns {Promise<object>} { data: Buffer, truncated: boolean, contentType: string }
+   * @throws {SlackApiError} When the download fails
+   */
+  async downloadFile(url, maxBytes) {
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Range': `bytes=0-${maxBytes}`
+        }
+      });
+    } catch (error) {
+      throw new SlackApiError(`File download failed: ${error.message}`, { code: 'download_failed', cause: error });
+    }
+
+    if (!response.ok) {
+      throw new SlackApiError(`File download failed: HTTP ${response.status}`, {
+        code: 'download_failed',
+        status: response.status
+      });
+    }
+
+    const chunks = [];
+    let received = 0;
+    let truncated = false;
+    for await (const chunk of response.body) {
+      chunks.push(chunk);
+      received += chunk.length;
+      if (received > maxBytes) {
+        truncated = true;
+        break;
+      }
+    }
+
+    return {
+      data: Buffer.concat(chunks).subarray(0, maxBytes),
+      truncated,
+      contentType: response.headers.get('content-type') || ''
+    };
+  }
+
+  /**
+   * Add an emoji reaction to a message
+   * @param {string} channel - Channel ID
+   * @param {string} timestamp - Message timestamp
+   * @param {string} name - Emoji name without colons
+   * @returns {Promise<object>} Reaction response
+   */
+  async addReaction(channel, timestamp, name) {
+    return await this.makeRequest('reactions.add', { channel, timestamp, name }, 'POST');
+  }
+
+  /**
+   * Remove an emoji reaction from a message
+   * @param {string} channel - Channel ID
+   * @param {string} timestamp - Message timestamp
+   * @param {string} name - Emoji name without colons
+   * @returns {Promise<object>} Reaction response
+   */
+  async removeReaction(channel, timestamp, name) {
+    return await this.makeRequest('reactions.remove', { channel, timestamp, name }, 'POST');
+  }
+
+  /**
+   * Get the reactions on a message
+   * @param {string} channel - Channel ID
+   * @param {string} timestamp - Message timestamp
+   * @returns {Promise<object>} Message with its full reactions list
+   */
+  async getReactions(channel, timestamp) {
+    return await this.makeRequest('reactions.get', { channel, timestamp, full: true });
+  }
+
+  /**
+   * Get a permalink for a message
+   * @param {string} channel - Channel ID
+   * @param {string} messageTs - Message timestamp
+   * @returns {Promise<object>} Permalink response
+   */
+  async getPermalink(channel, messageTs) {
+    return await this.makeRequest('chat.getPermalink', { channel, message_ts: messageTs });
+  }
+
   /**
    * Get list of users in workspace
    * @param {number} limit - Maximum users to return
+   * @param {string} cursor - Pagination cursor from response_metadata.next_cursor
    * @returns {Promise<object>} Users list
    */
-  async getUsers(limit = 100) {
-    return await this.makeRequest('users.list', { limit });
+  async getUsers(limit = 100, cursor) {
+    return await this.makeRequest('users.list', { limit, cursor });
   }
 
   /**
@@ -138,6 +820,121 @@ export class SlackClient {
     return await this.makeRequest('users.info', { user });
   }
 
+  /**
+   * Find a user by email address
+   * @param {string} email - Email address
+   * @returns {Promise<object>} User info
+   */
+  async lookupUserByEmail(email) {
+    return await this.makeRequest('users.lookupByEmail', { email });
+  }
+
+  /**
+   * List the workspace's user groups
+   * @returns {Promise<object>} User groups
+   */
+  async getUsergroups() {
+    return await this.makeRequest('usergroups.list');
+  }
+
+  /**
+   * Get a user's presence
+   * @param {string} user - User ID
+   * @returns {Promise<object>} Presence ('active' or 'away') and activity details
+   */
+  async getUserPresence(user) {
+    return await this.makeRequest('users.getPresence', { user });
+  }
+
+  /**
+   * Get a user's Do Not Disturb settings
+   * @param {string} user - User ID
+   * @returns {Promise<object>} DND schedule and snooze state
+   */
+  async getDndInfo(user) {
+    return await this.makeRequest('dnd.info', { user });
+  }
+
+  /**
+   * Set the authenticated user's status
+   * An empty text and emoji clears the status
+   * @param {string} text - Status text
+   * @param {string} emoji - Status emoji, e.g. ':calendar:'
+   * @param {number} expiration - Unix time the status clears, or 0 to keep it
+   * @returns {Promise<object>} Updated profile
+   */
+  async setStatus(text, emoji, expiration = 0) {
+    return await this.makeRequest('users.profile.set', {
+      profile: JSON.stringify({
+        status_text: text,
+        status_emoji: emoji,
+        status_expiration: expiration
+      })
+    }, 'POST');
+  }
+
+  /**
+   * Set the authenticated user's presence
+   * @param {string} presence - 'auto' or 'away'
+   * @returns {Promise<object>} Empty response
+   */
+  async setPresence(presence) {
+    return await this.makeRequest('users.setPresence', { presence }, 'POST');
+  }
+
+  /**
+   * Pause the authenticated user's notifications
+   * @param {number} minutes - Number of minutes to snooze for
+   * @returns {Promise<object>} Snooze state
+   */
+  async setSnooze(minutes) {
+    return await this.makeRequest('dnd.setSnooze', { num_minutes: minutes }, 'POST');
+  }
+
+  /**
+   * End the authenticated user's notification snooze
+   * @returns {Promise<object>} DND state
+   */
+  async endSnooze() {
+    return await this.makeRequest('dnd.endSnooze', {}, 'POST');
+  }
+
+  /**
+   * Create a reminder for the authenticated user
+   * @param {string} text - What to be reminded about
+   * @param {number|string} time - Unix time, or a recurring phrase Slack understands such as 'every Monday at 9am'
+   * @returns {Promise<object>} Created reminder
+   */
+  async addReminder(text, time) {
+    return await this.makeRequest('reminders.add', { text, time }, 'POST');
+  }
+
+  /**
+   * List the authenticated user's reminders, pending and completed
+   * @returns {Promise<object>} Reminders
+   */
+  async listReminders() {
+    return await this.makeRequest('reminders.list');
+  }
+
+  /**
+   * Mark a reminder as complete
+   * @param {string} reminder - Reminder ID
+   * @returns {Promise<object>} Empty response
+   */
+  async completeReminder(reminder) {
+    return await this.makeRequest('reminders.complete', { reminder }, 'POST');
+  }
+
+  /**
+   * Delete a reminder
+   * @param {string} reminder - Reminder ID
+   * @returns {Promise<object>} Empty response
+   */
+  async deleteReminder(reminder) {
+    return await this.makeRequest('reminders.delete', { reminder }, 'POST');
+  }
+
   /**
    * Open a direct message conversation
    * @param {string} users - Comma-separated user IDs
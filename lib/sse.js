@@ -0,0 +1,63 @@
+/**
+ * Server-Sent Events writer
+ * Streams JSON-RPC messages to the client as `message` events
+ */
+export class SseStream {
+  /**
+   * Start an event stream on the response
+   * @param {object} res - HTTP response (headers not yet sent)
+   */
+  constructor(res) {
+    this.res = res;
+    this.closed = false;
+    this.nextEventId = 1;
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders?.();
+  }
+
+  /**
+   * Send a JSON-RPC message as an event
+   * @param {object} message - Message to send
+   */
+  send(message) {
+    if (this.closed) {
+      return;
+    }
+    this.res.write(`id: ${this.nextEventId++}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  /**
+   * Send a comment line, used to keep idle connections open
+   * @param {string} text - Comment text
+   */
+  comment(text) {
+    if (this.closed) {
+      return;
+    }
+    this.res.write(`: ${text}\n\n`);
+  }
+
+  /**
+   * End the stream
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.res.end();
+  }
+}
+
+/**
+ * Check whether the client accepts an event stream response
+ * @param {object} req - HTTP request
+ * @returns {boolean} True if text/event-stream is acceptable
+ */
+export function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
@@ -0,0 +1,261 @@
+// lib/time.js
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+  m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+  d: 'day', day: 'day', days: 'day',
+  w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week'
+};
+
+// Typical working day, as local hours [start, end) on Monday to Friday
+const WORKING_HOURS = [9, 18];
+
+const SUPPORTED_FORMATS = 'ISO-8601 (2026-03-02T09:00 or with an offset), a Unix timestamp, ' +
+  '"now", "in 2 hours", "3 days ago", "last 24h", "today 5pm", "tomorrow at 9am", "yesterday", "since monday" ' +
+  'or "next monday 10:30"';
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {object} { year, month, day, hour, minute, second, weekday }
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'long'
+  }).formatToParts(date);
+
+  const value = type => parts.find(part => part.type === type).value;
+  return {
+    year: Number(value('year')),
+    month: Number(value('month')),
+    day: Number(value('day')),
+    hour: Number(value('hour')),
+    minute: Number(value('minute')),
+    second: Number(value('second')),
+    weekday: WEEKDAYS.indexOf(value('weekday').toLowerCase())
+  };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * Days and months may overflow (day 32 rolls into the next month)
+ * @param {object} fields - { year, month, day, hour, minute }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = instant => {
+    const parts = zonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  // Guess with the offset around the wall-clock time, then correct for a DST change in between
+  const guess = wallClock - offsetAt(wallClock);
+  const corrected = wallClock - offsetAt(guess);
+  if (corrected === guess || offsetAt(corrected) === offsetAt(guess)) {
+    return new Date(corrected);
+  }
+
+  // The wall-clock time was skipped by a DST change; move it forward by the gap
+  return new Date(Math.max(guess, corrected));
+}
+
+/**
+ * Parse a time of day such as 9am, 9:30 pm, 17:00, noon or midnight
+ * @param {string} text - Time of day
+ * @returns {object|null} { hour, minute } or null if not a time
+ */
+function parseTimeOfDay(text) {
+  if (text === 'noon' || text === 'midday') {
+    return { hour: 12, minute: 0 };
+  }
+  if (text === 'midnight') {
+    return { hour: 0, minute: 0 };
+  }
+
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match || (!match[2] && !match[3])) {
+    return null;
+  }
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return { hour, minute };
+}
+
+/**
+ * Check that a time zone is one Intl understands
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse an absolute or relative time expression
+ * Expressions without an explicit offset are read in the given time zone
+ * @param {string|number} expression - Time expression
+ * @param {object} options - Parse options
+ * @param {string} options.timeZone - IANA time zone to interpret wall-clock times in (default: UTC)
+ * @param {Date} options.now - Reference time (default: current time)
+ * @param {boolean} options.future - Resolve bare times and weekdays to their next occurrence
+ *   rather than the most recent one
+ * @param {string} options.defaultTime - Time of day for dates given without one (default: midnight)
+ * @returns {Date} Resolved instant
+ * @throws {Error} When the expression is not recognised
+ */
+export function parseTime(expression, { timeZone = 'UTC', now = new Date(), future = false, defaultTime = 'midnight' } = {}) {
+  // "since monday" reads the same as "monday"
+  const text = String(expression).trim().toLowerCase().replace(/\s+/g, ' ').replace(/^since /, '');
+
+  // Unix timestamp in seconds, possibly a Slack ts
+  if (/^\d{9,10}(\.\d+)?$/.test(text)) {
+    return new Date(parseFloat(text) * 1000);
+  }
+
+  // ISO-8601; without an offset it is a wall-clock time in the time zone
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?(z|[+-]\d{2}:?\d{2})?$/);
+  if (iso) {
+    const [year, month, day, hour, minute, second] = iso.slice(1, 7).map(value => Number(value ?? 0));
+    // Date would quietly roll 2026-02-30 over into March, so check the day exists first
+    const calendar = new Date(Date.UTC(year, month - 1, day));
+    if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+      throw new Error(`"${expression}" is not a real date and time`);
+    }
+
+    if (iso[7]) {
+      const date = new Date(text.toUpperCase().replace(' ', 'T'));
+      if (!Number.isNaN(date.getTime())) {
+        return date;
+      }
+    } else {
+      const time = iso[4] ? { hour, minute } : parseTimeOfDay(defaultTime);
+      return new Date(zonedTimeToDate({ year, month, day, ...time }, timeZone).getTime() + second * 1000);
+    }
+  }
+
+  if (text === 'now') {
+    return now;
+  }
+
+  // Offsets from now: "in 2 hours", "+30m", "3 days ago", "last 24h", "past week"
+  const ahead = text.match(/^(?:in |\+)(\d+(?:\.\d+)?) ?([a-z]+)$/);
+  const ago = text.match(/^(\d+(?:\.\d+)?) ?([a-z]+) ago$/) || text.match(/^(?:last|past) (\d+(?:\.\d+)?)? ?([a-z]+)$/);
+  const relative = ahead || ago;
+  if (relative && UNIT_ALIASES[relative[2]]) {
+    const ms = Number(relative[1] ?? 1) * UNIT_MS[UNIT_ALIASES[relative[2]]];
+    return new Date(now.getTime() + (ago ? -ms : ms));
+  }
+
+  // Day words and weekdays with an optional time: "tomorrow 9am", "next friday at 17:00", "5pm"
+  const dayMatch = text.match(/^(?:(today|tomorrow|yesterday|(?:(next|last|this) )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday))(?:,? (?:at )?(.+))?|(?:at )?(.+))$/);
+  if (dayMatch) {
+    const [, dayWord, modifier, weekdayName, dayTime, bareTime] = dayMatch;
+    const time = parseTimeOfDay(dayTime ?? bareTime ?? defaultTime);
+    if (time && (dayWord || bareTime)) {
+      const today = zonedParts(now, timeZone);
+      let offset = 0;
+
+      if (dayWord === 'tomorrow') {
+        offset = 1;
+      } else if (dayWord === 'yesterday') {
+        offset = -1;
+      } else if (weekdayName) {
+        const target = WEEKDAYS.indexOf(weekdayName);
+        const daysAhead = (target - today.weekday + 7) % 7;
+        const daysBehind = (today.weekday - target + 7) % 7;
+        if (modifier === 'next' || (!modifier && future)) {
+          offset = daysAhead || 7;
+        } else if (modifier === 'last') {
+          offset = -(daysBehind || 7);
+        } else if (!modifier) {
+          offset = -daysBehind;
+        } else {
+          // "this friday" is the one in the current Monday-to-Sunday week
+          offset = (target + 6) % 7 - (today.weekday + 6) % 7;
+        }
+      }
+
+      let date = zonedTimeToDate({ ...today, day: today.day + offset, ...time }, timeZone);
+      if (bareTime && future && date <= now) {
+        date = zonedTimeToDate({ ...today, day: today.day + 1, ...time }, timeZone);
+      }
+      return date;
+    }
+  }
+
+  throw new Error(`Could not understand the time "${expression}". Use ${SUPPORTED_FORMATS}`);
+}
+
+/**
+ * Format an instant as a readable wall-clock time in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (default: UTC)
+ * @returns {string} e.g. "Mon, 2 Mar 2026, 09:00 GMT"
+ */
+export function formatInTimeZone(date, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(date);
+}
+
+/**
+ * Get the calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (default: UTC)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function formatDate(date, timeZone = 'UTC') {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether an instant falls within typical working hours in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True on a weekday between 09:00 and 18:00 local time
+ */
+export function isWorkingHours(date, timeZone) {
+  const { hour, weekday } = zonedParts(date, timeZone);
+  return weekday >= 1 && weekday <= 5 && hour >= WORKING_HOURS[0] && hour < WORKING_HOURS[1];
+}
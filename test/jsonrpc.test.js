@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCodes, JsonRpcError, parsePayload, processPayload } from '../lib/jsonrpc.js';
+
+// Echoes the method and params back, failing on request
+async function dispatch(method, params) {
+  if (method === 'fail') {
+    throw new JsonRpcError(ErrorCodes.METHOD_NOT_FOUND, 'Method not found: fail');
+  }
+  return { method, params };
+}
+
+test('answers a single request', async () => {
+  const response = await processPayload({ jsonrpc: '2.0', id: 1, method: 'ping', params: { a: 1 } }, dispatch);
+  assert.deepEqual(response, { jsonrpc: '2.0', id: 1, result: { method: 'ping', params: { a: 1 } } });
+});
+
+test('sends nothing back for a notification', async () => {
+  const calls = [];
+  const response = await processPayload({ jsonrpc: '2.0', method: 'notifications/initialized' }, async method => calls.push(method));
+  assert.equal(response, null);
+  assert.deepEqual(calls, ['notifications/initialized']);
+});
+
+test('rejects an empty batch with a single error', async () => {
+  const response = await processPayload([], dispatch);
+  assert.equal(response.id, null);
+  assert.equal(response.error.code, ErrorCodes.INVALID_REQUEST);
+});
+
+test('answers only the requests in a batch mixing requests and notifications', async () => {
+  const response = await processPayload([
+    { jsonrpc: '2.0', id: 'a', method: 'ping' },
+    { jsonrpc: '2.0', method: 'notifications/cancelled' },
+    { jsonrpc: '2.0', id: 2, method: 'fail' }
+  ], dispatch);
+
+  assert.equal(response.length, 2);
+  assert.deepEqual(response[0], { jsonrpc: '2.0', id: 'a', result: { method: 'ping', params: undefined } });
+  assert.deepEqual(response[1].error, { code: ErrorCodes.METHOD_NOT_FOUND, message: 'Method not found: fail' });
+});
+
+test('returns null for a batch of notifications only', async () => {
+  const response = await processPayload([
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', method: 'notifications/cancelled' }
+  ], dispatch);
+  assert.equal(response, null);
+});
+
+test('answers each non-object batch element with Invalid Request', async () => {
+  const response = await processPayload([1, 'two', null, [], { jsonrpc: '2.0', id: 5, method: 'ping' }], dispatch);
+
+  assert.equal(response.length, 5);
+  for (const error of response.slice(0, 4)) {
+    assert.deepEqual(error, { jsonrpc: '2.0', id: null, error: { code: ErrorCodes.INVALID_REQUEST, message: 'Invalid Request' } });
+  }
+  assert.equal(response[4].id, 5);
+});
+
+test('ignores client responses in a batch', async () => {
+  const response = await processPayload([{ jsonrpc: '2.0', id: 9, result: {} }], dispatch);
+  assert.equal(response, null);
+});
+
+test('rejects malformed requests', async () => {
+  const wrongVersion = await processPayload({ jsonrpc: '1.0', id: 1, method: 'ping' }, dispatch);
+  assert.equal(wrongVersion.error.code, ErrorCodes.INVALID_REQUEST);
+
+  const badId = await processPayload({ jsonrpc: '2.0', id: { x: 1 }, method: 'ping' }, dispatch);
+  assert.equal(badId.id, null);
+  assert.equal(badId.error.code, ErrorCodes.INVALID_REQUEST);
+
+  const badParams = await processPayload({ jsonrpc: '2.0', id: 3, method: 'ping', params: 'x' }, dispatch);
+  assert.equal(badParams.error.code, ErrorCodes.INVALID_PARAMS);
+});
+
+test('turns unexpected errors into internal errors', async () => {
+  const response = await processPayload({ jsonrpc: '2.0', id: 4, method: 'boom' }, async () => {
+    throw new Error('exploded');
+  });
+  assert.deepEqual(response.error, { code: ErrorCodes.INTERNAL_ERROR, message: 'exploded' });
+});
+
+test('reports unparseable bodies as parse errors', () => {
+  assert.deepEqual(parsePayload('[1]'), [1]);
+  assert.deepEqual(parsePayload({ a: 1 }), { a: 1 });
+  assert.throws(() => parsePayload('{"jsonrpc":'), error => error instanceof JsonRpcError && error.code === ErrorCodes.PARSE_ERROR);
+});
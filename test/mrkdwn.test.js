@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractReferences, toMarkdown } from '../lib/mrkdwn.js';
+
+const names = {
+  users: new Map([['U1', 'alice']]),
+  channels: new Map([['C1', '#general']]),
+  usergroups: new Map([['S1', '@backend']])
+};
+
+test('renders user mentions as names, falling back to the label then the ID', () => {
+  assert.equal(toMarkdown('hi <@U1>, <@U2|bob> and <@U3>', names), 'hi @alice, @bob and @U3');
+});
+
+test('renders channel links as labels, falling back to the name then the ID', () => {
+  assert.equal(toMarkdown('see <#C1>, <#C2|random> and <#C3>', names), 'see #general, #random and #C3');
+});
+
+test('renders user group and special mentions', () => {
+  assert.equal(toMarkdown('<!subteam^S1> <!subteam^S2|@design> <!subteam^S3>', names), '@backend @design @S3');
+  assert.equal(toMarkdown('<!here> <!channel> <!everyone|@everyone>', names), '@here @channel @everyone');
+  assert.equal(toMarkdown('due <!date^1392734382^{date}|Feb 18, 2014>', names), 'due Feb 18, 2014');
+});
+
+test('renders links as Markdown links unless the label is the URL itself', () => {
+  assert.equal(toMarkdown('<https://example.com>'), 'https://example.com');
+  assert.equal(toMarkdown('<https://example.com|https://example.com>'), 'https://example.com');
+  assert.equal(toMarkdown('<https://example.com|Example>'), '[Example](https://example.com)');
+  assert.equal(toMarkdown('<https://x.com/a?b=1&amp;c=2|a [b] c>'), '[a \\[b\\] c](https://x.com/a?b=1&c=2)');
+});
+
+test('renders mailto links as the address unless they carry a different label', () => {
+  assert.equal(toMarkdown('<mailto:bob@example.com|bob@example.com>'), 'bob@example.com');
+  assert.equal(toMarkdown('<mailto:bob@example.com>'), 'bob@example.com');
+  assert.equal(toMarkdown('<mailto:bob@example.com|Bob>'), '[Bob](mailto:bob@example.com)');
+});
+
+test('translates bold, italic and strikethrough, including nested bold and italic', () => {
+  assert.equal(toMarkdown('*bold* _italic_ ~strike~'), '**bold** *italic* ~~strike~~');
+  assert.equal(toMarkdown('*_both_*'), '***both***');
+  assert.equal(toMarkdown('_*both*_'), '***both***');
+});
+
+test('leaves underscores and asterisks inside words alone', () => {
+  assert.equal(toMarkdown('snake_case_name, 2*3*4 and file_name_'), 'snake_case_name, 2*3*4 and file_name_');
+});
+
+test('protects code spans and blocks from formatting and mention rendering', () => {
+  assert.equal(toMarkdown('`*not bold* <@U1>`', names), '`*not bold* <@U1>`');
+  assert.equal(toMarkdown('```\n*code* &lt;b&gt;\n```', names), '```\n*code* <b>\n```');
+});
+
+test('unescapes &lt;, &gt; and &amp; exactly once', () => {
+  assert.equal(toMarkdown('1 &lt; 2 &amp;&amp; 3 &gt; 2'), '1 < 2 && 3 > 2');
+  assert.equal(toMarkdown('literally &amp;lt;'), 'literally &lt;');
+});
+
+test('turns known emoji shortcodes into emoji and drops skin tones', () => {
+  assert.equal(toMarkdown(':tada: :+1::skin-tone-3: :wave::skin-tone-5:'), '🎉 👍 👋');
+  assert.equal(toMarkdown(':custom::skin-tone-2: :unknown:'), ':custom: :unknown:');
+  assert.equal(toMarkdown('at 10:30:45'), 'at 10:30:45');
+});
+
+test('handles empty text', () => {
+  assert.equal(toMarkdown(), '');
+  assert.deepEqual(extractReferences(), { users: [], channels: [], usergroups: [] });
+});
+
+test('extracts the IDs that still need names, once each', () => {
+  const text = '<@U1> <@U1|alice> <#C1> <#C2|named> <!subteam^S1> <!subteam^S2|@x> <https://a.com> <!here>';
+  assert.deepEqual(extractReferences(text), { users: ['U1'], channels: ['C1'], usergroups: ['S1'] });
+});
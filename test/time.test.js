@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatDate, isValidTimeZone, parseTime } from '../lib/time.js';
+
+// Saturday 28 March 2026, the day before UK clocks go forward
+const now = new Date('2026-03-28T12:00:00Z');
+const london = { timeZone: 'Europe/London', now };
+const iso = (expression, options = london) => parseTime(expression, options).toISOString();
+
+test('reads ISO dates and times as wall-clock time in the time zone', () => {
+  assert.equal(iso('2026-03-02T09:00'), '2026-03-02T09:00:00.000Z');
+  assert.equal(iso('2026-06-02T09:00'), '2026-06-02T08:00:00.000Z');
+  assert.equal(iso('2026-06-02'), '2026-06-01T23:00:00.000Z');
+  assert.equal(iso('2026-06-02', { ...london, defaultTime: '9am' }), '2026-06-02T08:00:00.000Z');
+});
+
+test('keeps an explicit offset', () => {
+  assert.equal(iso('2026-03-02T09:00+01:00'), '2026-03-02T08:00:00.000Z');
+  assert.equal(iso('2026-03-02T09:00Z'), '2026-03-02T09:00:00.000Z');
+});
+
+test('rejects dates and times that do not exist', () => {
+  for (const expression of ['2026-02-30', '2025-02-29', '2026-04-31', '2026-13-01', '2026-03-02T24:00', '2026-02-30T09:00Z']) {
+    assert.throws(() => parseTime(expression, london), /not a real date/, expression);
+  }
+  assert.equal(iso('2024-02-29'), '2024-02-29T00:00:00.000Z');
+});
+
+test('reads Unix timestamps and Slack ts values', () => {
+  assert.equal(iso('1700000000'), '2023-11-14T22:13:20.000Z');
+  assert.equal(iso('1700000000.123456'), '2023-11-14T22:13:20.123Z');
+});
+
+test('reads offsets from now', () => {
+  assert.equal(iso('now'), '2026-03-28T12:00:00.000Z');
+  assert.equal(iso('in 2 hours'), '2026-03-28T14:00:00.000Z');
+  assert.equal(iso('+30m'), '2026-03-28T12:30:00.000Z');
+  assert.equal(iso('3 days ago'), '2026-03-25T12:00:00.000Z');
+  assert.equal(iso('last 24h'), '2026-03-27T12:00:00.000Z');
+  assert.equal(iso('past week'), '2026-03-21T12:00:00.000Z');
+});
+
+test('reads day words and weekdays', () => {
+  assert.equal(iso('yesterday'), '2026-03-27T00:00:00.000Z');
+  assert.equal(iso('today 5pm'), '2026-03-28T17:00:00.000Z');
+  assert.equal(iso('monday'), '2026-03-23T00:00:00.000Z');
+  assert.equal(iso('since monday'), '2026-03-23T00:00:00.000Z');
+  assert.equal(iso('last friday'), '2026-03-27T00:00:00.000Z');
+  assert.equal(iso('this friday'), '2026-03-27T00:00:00.000Z');
+  assert.equal(iso('next monday 10:30'), '2026-03-30T09:30:00.000Z');
+});
+
+test('resolves bare times and weekdays forwards for future times', () => {
+  const future = { ...london, future: true };
+  assert.equal(iso('monday', future), '2026-03-29T23:00:00.000Z');
+  assert.equal(iso('11am', future), '2026-03-29T10:00:00.000Z');
+  assert.equal(iso('5pm', future), '2026-03-28T17:00:00.000Z');
+});
+
+test('applies the offset in force on the day across a DST change', () => {
+  assert.equal(iso('tomorrow 9am'), '2026-03-29T08:00:00.000Z');
+  assert.equal(iso('tomorrow at midnight'), '2026-03-29T00:00:00.000Z');
+  assert.equal(iso('2026-10-26T09:00'), '2026-10-26T09:00:00.000Z');
+});
+
+test('moves times skipped by a DST change forward by the gap', () => {
+  assert.equal(iso('2026-03-29T01:30'), '2026-03-29T01:30:00.000Z');
+  assert.equal(iso('2026-03-08T02:30', { timeZone: 'America/New_York', now }), '2026-03-08T07:30:00.000Z');
+});
+
+test('rejects expressions it does not understand', () => {
+  assert.throws(() => parseTime('the day after never', london), /Could not understand/);
+  assert.throws(() => parseTime('13pm', london), /Could not understand/);
+});
+
+test('formats calendar dates in the time zone', () => {
+  assert.equal(formatDate(new Date('2026-03-28T23:30:00Z'), 'Asia/Tokyo'), '2026-03-29');
+  assert.equal(formatDate(new Date('2026-03-28T23:30:00Z'), 'UTC'), '2026-03-28');
+});
+
+test('recognises IANA time zones', () => {
+  assert.equal(isValidTimeZone('Europe/London'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});